@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// ─── API Keys ─────────────────────────────────────────────────────
+// Every API route needs a signed-in user (accounts/) or a key (X-API-Key
+// header, Authorization: Bearer, or ?api_key= for plain download links) unless
+// API_AUTH=off. Signed-in users aren't rate limited or metered. Keys are shown
+// once at creation; only their SHA-256 is stored. Each key may carry:
+//   rate_limit     requests per minute (API_RATE_LIMIT when unset)
+//   monthly_quota  requests per calendar month, UTC (unlimited when unset)
+//   endpoints      route prefixes it may call, e.g. ["/risk"] (all when unset)
+//   admin          may manage keys and read usage under /admin
+// Usage is counted per key, UTC day and route in api_usage: requests that got
+// through, how many of those ended in an error, and rejections by the limits.
+
+const AUTH_REQUIRED = process.env.API_AUTH !== 'off';
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT) || 60;
+const PUBLIC_PATHS = ['/api', '/auth/login'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+function parseKey(row) {
+  return row && {
+    id: row.id, name: row.name, prefix: row.prefix, admin: !!row.admin,
+    rate_limit: row.rate_limit, monthly_quota: row.monthly_quota,
+    endpoints: row.endpoints ? JSON.parse(row.endpoints) : null,
+    created_at: row.created_at, last_used_at: row.last_used_at, revoked_at: row.revoked_at,
+  };
+}
+
+const positiveInt = (v) => v === null || (Number.isInteger(v) && v > 0);
+
+// Returns an error message, or null when the body is valid for create (or, with
+// `partial`, for update)
+function validateKey(body, partial = false) {
+  if (!body || typeof body !== 'object') return 'body must be a JSON object';
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) return 'name is required';
+  }
+  for (const field of ['rate_limit', 'monthly_quota']) {
+    if (body[field] !== undefined && !positiveInt(body[field])) return `${field} must be a positive integer or null`;
+  }
+  if (body.endpoints !== undefined && body.endpoints !== null) {
+    if (!Array.isArray(body.endpoints) || !body.endpoints.length || !body.endpoints.every(e => typeof e === 'string' && e.startsWith('/'))) {
+      return 'endpoints must be a non-empty array of paths like "/risk"';
+    }
+  }
+  return null;
+}
+
+// Issues a new key; the plain key is only ever returned here
+function createKey(body) {
+  const key = 'pb_' + crypto.randomBytes(24).toString('base64url');
+  const id = db.prepare(`
+    INSERT INTO api_keys (name, prefix, key_hash, admin, rate_limit, monthly_quota, endpoints) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(String(body.name).trim(), key.slice(0, 10), hashKey(key), body.admin ? 1 : 0, body.rate_limit ?? null,
+    body.monthly_quota ?? null, body.endpoints ? JSON.stringify(body.endpoints) : null).lastInsertRowid;
+  return { ...getKey(id), key };
+}
+
+function getKey(id) {
+  return parseKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+}
+
+// Keys with this month's request count
+function listKeys() {
+  const used = db.prepare(`SELECT COALESCE(SUM(requests), 0) as n FROM api_usage WHERE key_id = ? AND day LIKE ?`);
+  return db.prepare('SELECT * FROM api_keys ORDER BY id').all()
+    .map(row => ({ ...parseKey(row), month_requests: used.get(row.id, `${thisMonth()}-%`).n }));
+}
+
+function updateKey(id, body) {
+  const sets = [], params = [];
+  if (body.name !== undefined) { sets.push('name = ?'); params.push(String(body.name).trim()); }
+  if (body.admin !== undefined) { sets.push('admin = ?'); params.push(body.admin ? 1 : 0); }
+  for (const field of ['rate_limit', 'monthly_quota']) {
+    if (body[field] !== undefined) { sets.push(`${field} = ?`); params.push(body[field]); }
+  }
+  if (body.endpoints !== undefined) { sets.push('endpoints = ?'); params.push(body.endpoints ? JSON.stringify(body.endpoints) : null); }
+  if (sets.length) db.prepare(`UPDATE api_keys SET ${sets.join(', ')} WHERE id = ? AND revoked_at IS NULL`).run(...params, id);
+  return getKey(id);
+}
+
+// Revoked keys stay listed (and their usage kept) but stop working at once
+function revokeKey(id) {
+  return db.prepare(`UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`).run(id).changes > 0;
+}
+
+// Usage for one month (YYYY-MM), by key and route, optionally for one key
+function usage({ month = thisMonth(), keyId = null } = {}) {
+  const where = keyId ? 'AND u.key_id = ?' : '';
+  const params = keyId ? [`${month}-%`, keyId] : [`${month}-%`];
+  const results = db.prepare(`
+    SELECT u.key_id, k.name, k.prefix, u.endpoint, SUM(u.requests) as requests, SUM(u.errors) as errors, SUM(u.rejected) as rejected
+    FROM api_usage u LEFT JOIN api_keys k ON k.id = u.key_id
+    WHERE u.day LIKE ? ${where}
+    GROUP BY u.key_id, u.endpoint ORDER BY u.key_id, requests DESC
+  `).all(...params);
+  const daily = db.prepare(`
+    SELECT day, SUM(requests) as requests, SUM(errors) as errors, SUM(rejected) as rejected
+    FROM api_usage u WHERE day LIKE ? ${where} GROUP BY day ORDER BY day
+  `).all(...params);
+  const totals = results.reduce((t, r) => ({
+    requests: t.requests + r.requests, errors: t.errors + r.errors, rejected: t.rejected + r.rejected,
+  }), { requests: 0, errors: 0, rejected: 0 });
+  return { month, totals, results, daily };
+}
+
+// ─── Limits + Metering ────────────────────────────────────────────
+// Rate limits use a fixed one-minute window per key, in memory. Monthly counts
+// are read from api_usage the first time a key is seen each month, then kept
+// in memory alongside it.
+const windows = new Map();   // key id → { start, count }
+const monthly = new Map();   // key id → { month, count }
+
+function monthCount(keyId) {
+  const month = thisMonth();
+  let m = monthly.get(keyId);
+  if (!m || m.month !== month) {
+    const { n } = db.prepare('SELECT COALESCE(SUM(requests), 0) as n FROM api_usage WHERE key_id = ? AND day LIKE ?').get(keyId, `${month}-%`);
+    m = { month, count: n };
+    monthly.set(keyId, m);
+  }
+  return m;
+}
+
+const recordUsage = db.prepare(`
+  INSERT INTO api_usage (key_id, day, endpoint, requests, errors, rejected) VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT(key_id, day, endpoint) DO UPDATE SET requests = requests + excluded.requests,
+    errors = errors + excluded.errors, rejected = rejected + excluded.rejected
+`);
+const touchKey = db.prepare(`UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?`);
+
+// The route pattern (/risk/:zip), so usage groups per endpoint rather than per ZIP.
+// Rejected and unrouted requests are counted under their first path segment
+// (/risk) instead.
+const sectionOf = (req) => '/' + (req.path.split('/')[1] || '');
+const endpointOf = (req) => (req.route ? req.baseUrl + req.route.path : sectionOf(req));
+
+const allowed = (key, path) => !key.endpoints || key.endpoints.some(e => path === e || path.startsWith(e.replace(/\/$/, '') + '/'));
+
+function presentedKey(req) {
+  const auth = req.get('authorization');
+  if (auth && /^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, '').trim();
+  return req.get('x-api-key') || req.query.api_key || null;
+}
+
+// Express middleware: identifies the key, enforces its limits, and meters the
+// request once the response is finished
+function requireKey(req, res, next) {
+  if (req.user) return next();
+  const presented = presentedKey(req);
+  if (!presented) {
+    if (!AUTH_REQUIRED || PUBLIC_PATHS.includes(req.path)) return next();
+    return res.status(401).json({ error: 'sign in or send an API key' });
+  }
+  const key = parseKey(db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(presented)));
+  if (!key) return res.status(401).json({ error: 'invalid API key' });
+  if (key.revoked_at) return res.status(401).json({ error: 'API key revoked' });
+  if (!allowed(key, req.path)) return res.status(403).json({ error: 'API key not allowed for this endpoint' });
+
+  const reject = (status, error) => {
+    recordUsage.run(key.id, today(), sectionOf(req), 0, 0, 1);
+    res.status(status).json({ error });
+  };
+  const limit = key.rate_limit || DEFAULT_RATE_LIMIT;
+  const now = Date.now();
+  let w = windows.get(key.id);
+  if (!w || now - w.start >= 60000) windows.set(key.id, w = { start: now, count: 0 });
+  const resetIn = Math.ceil((w.start + 60000 - now) / 1000);
+  res.set({ 'X-RateLimit-Limit': limit, 'X-RateLimit-Remaining': Math.max(limit - w.count - 1, 0), 'X-RateLimit-Reset': resetIn });
+  if (w.count >= limit) {
+    res.set('Retry-After', resetIn);
+    return reject(429, 'rate limit exceeded');
+  }
+  const m = monthCount(key.id);
+  if (key.monthly_quota) {
+    res.set({ 'X-Quota-Limit': key.monthly_quota, 'X-Quota-Remaining': Math.max(key.monthly_quota - m.count - 1, 0) });
+    if (m.count >= key.monthly_quota) return reject(429, 'monthly quota exceeded');
+  }
+  w.count++;
+  m.count++;
+  req.apiKey = key;
+  res.on('finish', () => {
+    recordUsage.run(key.id, today(), endpointOf(req), 1, res.statusCode >= 400 ? 1 : 0, 0);
+    touchKey.run(key.id);
+  });
+  next();
+}
+
+// For /admin routes: an admin key or admin user. With API_AUTH=off, anonymous
+// requests are let through too.
+function requireAdmin(req, res, next) {
+  const admin = req.apiKey ? req.apiKey.admin : req.user ? req.user.role === 'admin' : !AUTH_REQUIRED;
+  if (admin) return next();
+  res.status(403).json({ error: 'admin access required' });
+}
+
+const hasKeys = () => !!db.prepare('SELECT 1 FROM api_keys WHERE revoked_at IS NULL LIMIT 1').get();
+
+module.exports = {
+  AUTH_REQUIRED, validateKey, createKey, getKey, listKeys, updateKey, revokeKey, usage, requireKey, requireAdmin, hasKeys,
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../db');
+const { MAX_RADIUS_MILES, listOf, permitFilters } = require('../permit-query');
+
+// ─── Accounts + Territories ───────────────────────────────────────
+// Users sign in to the web UI with email + password; the session lives in an
+// HttpOnly cookie (only its SHA-256 is stored). Roles:
+//   rep      sees their own territories (or their team's, if they have none)
+//   manager  sees the whole region: the team's territories plus every member's
+//   admin    sees everything and manages users, teams and territories
+// A territory is a list of cities, a list of ZIPs, or a radius around a point —
+// the same city / zip / lat+lng+radius_miles filters /permits takes. A scope is
+// its territories OR'd together, ANDed onto the permit filters. No territories
+// at any level means no limit.
+
+const ROLES = ['rep', 'manager', 'admin'];
+const SESSION_COOKIE = 'pb_session';
+const SESSION_DAYS = parseInt(process.env.SESSION_DAYS) || 30;
+const MIN_PASSWORD = 8;
+
+const scrypt = promisify(crypto.scrypt);
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${(await scrypt(password, salt, 64)).toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [, salt = 'none', hash = ''] = String(stored || '').split('$');
+  const actual = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ─── Territories ──────────────────────────────────────────────────
+function parseTerritory(row) {
+  return {
+    id: row.id, name: row.name,
+    city: row.cities ? row.cities.split(',') : null, zip: row.zips ? row.zips.split(',') : null,
+    lat: row.lat, lng: row.lng, radius_miles: row.radius_miles,
+  };
+}
+
+// Returns an error message, or null when `list` is a valid territory list
+function validateTerritories(list) {
+  if (!Array.isArray(list)) return 'territories must be an array';
+  for (const [i, t] of list.entries()) {
+    if (!t || typeof t !== 'object') return `territory ${i + 1} must be an object`;
+    const kinds = [t.city, t.zip, t.lat ?? t.lng].filter(v => v !== undefined && v !== null && v !== '');
+    if (kinds.length !== 1) return `territory ${i + 1} needs exactly one of city, zip or lat+lng`;
+    if (t.zip && !listOf(t.zip).every(z => /^\d{5}$/.test(z))) return `territory ${i + 1}: zip must be 5-digit ZIP codes`;
+    if (t.city && !listOf(t.city).length) return `territory ${i + 1}: city is empty`;
+    if (t.lat != null || t.lng != null) {
+      const lat = parseFloat(t.lat), lng = parseFloat(t.lng), miles = parseFloat(t.radius_miles);
+      if (!(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) return `territory ${i + 1}: lat and lng must be valid coordinates`;
+      if (!(miles > 0 && miles <= MAX_RADIUS_MILES)) return `territory ${i + 1}: radius_miles must be between 0 and ${MAX_RADIUS_MILES}`;
+    }
+  }
+  return null;
+}
+
+// Replaces the territories of one user ({ userId }) or team ({ teamId })
+function setTerritories({ userId = null, teamId = null }, list) {
+  const insert = db.prepare(`
+    INSERT INTO territories (user_id, team_id, name, cities, zips, lat, lng, radius_miles) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    db.prepare(userId ? 'DELETE FROM territories WHERE user_id = ?' : 'DELETE FROM territories WHERE team_id = ?').run(userId || teamId);
+    for (const t of list) {
+      const radius = t.lat != null;
+      insert.run(userId, teamId, t.name ? String(t.name).trim() : null,
+        t.city ? listOf(t.city).map(c => c.toLowerCase()).join(',') : null, t.zip ? listOf(t.zip).join(',') : null,
+        radius ? parseFloat(t.lat) : null, radius ? parseFloat(t.lng) : null, radius ? parseFloat(t.radius_miles) : null);
+    }
+  })();
+}
+
+const userTerritories = (userId) => db.prepare('SELECT * FROM territories WHERE user_id = ? ORDER BY id').all(userId).map(parseTerritory);
+const teamTerritories = (teamId) => db.prepare('SELECT * FROM territories WHERE team_id = ? ORDER BY id').all(teamId).map(parseTerritory);
+
+// The team's own territories plus those of its active members
+function regionTerritories(teamId) {
+  return db.prepare(`
+    SELECT * FROM territories WHERE team_id = ?
+      OR user_id IN (SELECT id FROM users WHERE team_id = ? AND disabled_at IS NULL)
+    ORDER BY team_id IS NULL, id
+  `).all(teamId, teamId).map(parseTerritory);
+}
+
+// Territory → the /permits filter params it stands for
+function territoryQuery(t) {
+  if (t.city) return { city: t.city.join(',') };
+  if (t.zip) return { zip: t.zip.join(',') };
+  return { lat: t.lat, lng: t.lng, radius_miles: t.radius_miles };
+}
+
+function scopeFilter(territories) {
+  if (!territories.length) return null;
+  const parts = territories.map(t => permitFilters(territoryQuery(t)));
+  return { sql: ` AND (${parts.map(f => `(1=1${f.sql})`).join(' OR ')})`, params: parts.flatMap(f => f.params) };
+}
+
+// What a user sees: { level, territories, filter }. level is territory (their
+// own), team (a rep with none of their own), region (a manager's team), or all.
+// `mine` narrows a manager or admin to their own territories, when they have any.
+function userScope(user, { mine = false } = {}) {
+  const own = userTerritories(user.id);
+  const scope = (level, territories) => ({ level: territories.length ? level : 'all', territories, filter: scopeFilter(territories) });
+  if (own.length && (mine || user.role === 'rep')) return scope('territory', own);
+  if (user.role === 'admin') return scope('all', []);
+  if (!user.team_id) return scope('territory', own);
+  return user.role === 'manager' ? scope('region', regionTerritories(user.team_id)) : scope('team', teamTerritories(user.team_id));
+}
+
+// The permit filter for a request: the signed-in user's scope (?scope=mine to
+// narrow), or null for API keys and open access
+function requestScope(req) {
+  return req.user ? userScope(req.user, { mine: req.query.scope === 'mine' }).filter : null;
+}
+
+// Cities with permits inside a scope (for the UI's city list)
+function scopeCities(filter) {
+  if (!filter) return null;
+  return db.prepare(`SELECT DISTINCT p.city FROM permits p WHERE 1=1${filter.sql} ORDER BY p.city`).all(...filter.params).map(r => r.city);
+}
+
+// ─── Users + Teams ────────────────────────────────────────────────
+function parseUser(row) {
+  return row && {
+    id: row.id, email: row.email, name: row.name, role: row.role, team_id: row.team_id, team: row.team_name || null,
+    created_at: row.created_at, last_login_at: row.last_login_at, disabled_at: row.disabled_at,
+  };
+}
+
+const USER_SELECT = 'SELECT u.*, t.name as team_name FROM users u LEFT JOIN teams t ON t.id = u.team_id';
+
+function getUser(id) {
+  return parseUser(db.prepare(`${USER_SELECT} WHERE u.id = ?`).get(id));
+}
+
+function listUsers() {
+  return db.prepare(`${USER_SELECT} ORDER BY u.disabled_at IS NOT NULL, u.name`).all()
+    .map(row => ({ ...parseUser(row), territories: userTerritories(row.id) }));
+}
+
+const normalEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Returns [status, error] for an invalid create (or, with `partial`, update)
+// body, else null
+function validateUser(body, partial = false, id = null) {
+  if (!body || typeof body !== 'object') return [400, 'body must be a JSON object'];
+  if (!partial || body.email !== undefined) {
+    if (!/^[^@\s]+@[^@\s]+$/.test(normalEmail(body.email))) return [400, 'email is invalid'];
+    const taken = db.prepare('SELECT id FROM users WHERE email = ?').get(normalEmail(body.email));
+    if (taken && taken.id !== Number(id)) return [409, 'email is already in use'];
+  }
+  if ((!partial || body.name !== undefined) && (!body.name || !String(body.name).trim())) return [400, 'name is required'];
+  if (body.role !== undefined && !ROLES.includes(body.role)) return [400, `role must be one of: ${ROLES.join(', ')}`];
+  if (body.team_id !== undefined && body.team_id !== null && !getTeam(body.team_id)) return [400, 'team_id is not a team'];
+  if (body.password !== undefined && String(body.password).length < MIN_PASSWORD) return [400, `password must be at least ${MIN_PASSWORD} characters`];
+  return null;
+}
+
+// Creates a user. Without a password one is generated and returned once, as
+// `password`, for the admin to hand over.
+async function createUser(body) {
+  const password = body.password || crypto.randomBytes(9).toString('base64url');
+  const id = db.prepare('INSERT INTO users (email, name, role, team_id, password_hash) VALUES (?, ?, ?, ?, ?)')
+    .run(normalEmail(body.email), String(body.name).trim(), body.role || 'rep', body.team_id ?? null, await hashPassword(password))
+    .lastInsertRowid;
+  return { ...getUser(id), territories: [], ...(body.password ? {} : { password }) };
+}
+
+// `disabled: true` signs the user out everywhere; their saved searches stop running
+async function updateUser(id, body) {
+  const sets = [], params = [];
+  if (body.email !== undefined) { sets.push('email = ?'); params.push(normalEmail(body.email)); }
+  if (body.name !== undefined) { sets.push('name = ?'); params.push(String(body.name).trim()); }
+  if (body.role !== undefined) { sets.push('role = ?'); params.push(body.role); }
+  if (body.team_id !== undefined) { sets.push('team_id = ?'); params.push(body.team_id); }
+  if (body.password !== undefined) { sets.push('password_hash = ?'); params.push(await hashPassword(String(body.password))); }
+  if (body.disabled !== undefined) { sets.push(body.disabled ? `disabled_at = COALESCE(disabled_at, datetime('now'))` : 'disabled_at = NULL'); }
+  if (sets.length) db.prepare(`UPDATE users SET ${sets.join(', ')} WHERE id = ?`).run(...params, id);
+  if (body.disabled || body.password !== undefined) db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+  return { ...getUser(id), territories: userTerritories(id) };
+}
+
+function getTeam(id) {
+  return db.prepare('SELECT * FROM teams WHERE id = ?').get(id) || null;
+}
+
+function listTeams() {
+  const members = db.prepare('SELECT id, name, role FROM users WHERE team_id = ? AND disabled_at IS NULL ORDER BY name');
+  return db.prepare('SELECT * FROM teams ORDER BY name').all()
+    .map(t => ({ ...t, members: members.all(t.id), territories: teamTerritories(t.id) }));
+}
+
+// Returns [status, error] for an invalid team body, else null
+function validateTeam(body, id = null) {
+  if (!body || !body.name || !String(body.name).trim()) return [400, 'name is required'];
+  const taken = db.prepare('SELECT id FROM teams WHERE name = ?').get(String(body.name).trim());
+  if (taken && taken.id !== Number(id)) return [409, 'a team with that name exists'];
+  return null;
+}
+
+function createTeam(body) {
+  const id = db.prepare('INSERT INTO teams (name) VALUES (?)').run(String(body.name).trim()).lastInsertRowid;
+  return { ...getTeam(id), members: [], territories: [] };
+}
+
+function renameTeam(id, body) {
+  db.prepare('UPDATE teams SET name = ? WHERE id = ?').run(String(body.name).trim(), id);
+  return getTeam(id);
+}
+
+// Members are left without a team; the team's territories go with it
+function deleteTeam(id) {
+  return db.transaction(() => {
+    db.prepare('UPDATE users SET team_id = NULL WHERE team_id = ?').run(id);
+    db.prepare('DELETE FROM territories WHERE team_id = ?').run(id);
+    return db.prepare('DELETE FROM teams WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+// For /me/password: false when `current` is wrong. Other sessions are signed out.
+async function changePassword(id, current, password) {
+  const row = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(id);
+  if (!row || !(await checkPassword(String(current || ''), row.password_hash))) return false;
+  await updateUser(id, { password });
+  return true;
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────
+// Failed sign-ins per email, in memory: after MAX_FAILURES inside
+// LOCKOUT_MINUTES the email is locked until that window has passed
+const MAX_FAILURES = 5;
+const LOCKOUT_MINUTES = 15;
+const failures = new Map();   // email → { count, since }
+
+// Starts a session for the user; returns its token (the cookie value)
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`).run();
+  db.prepare(`INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))`)
+    .run(sha256(token), userId, `+${SESSION_DAYS} days`);
+  return token;
+}
+
+// Resolves to { token, user }, { locked: true }, or null. Unknown emails still
+// pay for a hash, so timing doesn't reveal which accounts exist.
+async function login(email, password) {
+  const key = normalEmail(email);
+  const f = failures.get(key);
+  if (f && Date.now() - f.since > LOCKOUT_MINUTES * 60000) failures.delete(key);
+  else if (f && f.count >= MAX_FAILURES) return { locked: true };
+  const row = db.prepare('SELECT * FROM users WHERE email = ?').get(key);
+  const ok = await checkPassword(String(password || ''), row && row.password_hash);
+  if (!row || !ok || row.disabled_at) {
+    const prev = failures.get(key);
+    failures.set(key, prev ? { ...prev, count: prev.count + 1 } : { count: 1, since: Date.now() });
+    return null;
+  }
+  failures.delete(key);
+  const token = createSession(row.id);
+  db.prepare(`UPDATE users SET last_login_at = datetime('now') WHERE id = ?`).run(row.id);
+  return { token, user: getUser(row.id) };
+}
+
+function cookieOf(req, name) {
+  const pair = (req.get('cookie') || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function logout(req) {
+  const token = cookieOf(req, SESSION_COOKIE);
+  if (token) db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(sha256(token));
+}
+
+const sessionCookie = (req, token) => [SESSION_COOKIE, token, {
+  httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: SESSION_DAYS * 86400000,
+}];
+
+// Express middleware: sets req.user from a live session cookie
+function session(req, res, next) {
+  const token = cookieOf(req, SESSION_COOKIE);
+  if (token) {
+    req.user = parseUser(db.prepare(`
+      SELECT u.*, t.name as team_name FROM sessions s JOIN users u ON u.id = s.user_id LEFT JOIN teams t ON t.id = u.team_id
+      WHERE s.token_hash = ? AND s.expires_at > datetime('now') AND u.disabled_at IS NULL
+    `).get(sha256(token))) || undefined;
+  }
+  next();
+}
+
+// The signed-in user as /me shows it: their territories and what they see
+function describeMe(user, { mine = false } = {}) {
+  const scope = userScope(user, { mine });
+  return {
+    ...user, territories: userTerritories(user.id),
+    scope: { level: scope.level, territories: scope.territories, cities: scopeCities(scope.filter) },
+  };
+}
+
+module.exports = {
+  ROLES, SESSION_COOKIE, validateTerritories, setTerritories, userScope, requestScope, validateUser, createUser, getUser, listUsers,
+  updateUser, getTeam, listTeams, validateTeam, createTeam, renameTeam, deleteTeam, login, createSession, logout, sessionCookie, session,
+  describeMe, changePassword,
+};
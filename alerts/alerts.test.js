@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+
+process.env.PERMITS_DB = ':memory:';
+const db = require('../db');
+const alerts = require('.');
+
+// Webhook receiver stub: answers with the next status in `statuses` (200 once they run out)
+const hooks = [];
+let statuses = [];
+const webhook = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    hooks.push(JSON.parse(body));
+    res.statusCode = statuses.shift() || 200;
+    res.end();
+  });
+});
+
+// Just enough SMTP to take a message; `smtpDown` refuses every sender
+const mails = [];
+let smtpDown = false;
+const smtp = net.createServer((socket) => {
+  let buffer = '', data = null;
+  const reply = (line) => socket.write(line + '\r\n');
+  reply('220 stub');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let i;
+    while ((i = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      if (data !== null) {
+        if (line === '.') { mails.push(data); data = null; reply('250 queued'); } else data += line + '\n';
+        continue;
+      }
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === 'MAIL' && smtpDown) reply('451 try again later');
+      else if (verb === 'DATA') { data = ''; reply('354 go ahead'); }
+      else if (verb === 'QUIT') { reply('221 bye'); socket.end(); }
+      else reply('250 ok');
+    }
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.address().port);
+});
+test.after(() => {
+  webhook.close();
+  smtp.close();
+});
+
+const today = new Date().toISOString().slice(0, 10);
+const addPermit = (id) => db.prepare(`
+  INSERT INTO permits (id, city, address, permit_type, estimated_value, permit_date, zip_code) VALUES (?, 'austin', ?, 'Building', 500000, ?, '78701')
+`).run(id, `${id} Congress Ave`, today);
+const sent = (list) => list.splice(0).length;
+
+test('a failed webhook gets the permits again on the next run, email does not', async () => {
+  const search = alerts.createSearch({
+    name: 'Downtown', params: { city: 'austin' },
+    webhook_url: `http://127.0.0.1:${webhook.address().port}/hook`, email: 'rep@example.com',
+  });
+  addPermit('a-1');
+  addPermit('a-2');
+
+  statuses = [500];
+  let result = await alerts.runSearch(alerts.getSearch(search.id));
+  assert.strictEqual(result.new_matches, 2);
+  assert.match(result.error, /^webhook: .*500/);
+  assert.strictEqual(sent(hooks), 1);
+  assert.strictEqual(sent(mails), 1);
+  assert.match(alerts.getSearch(search.id).last_error, /webhook/);
+
+  result = await alerts.runSearch(alerts.getSearch(search.id));
+  assert.deepStrictEqual({ new_matches: result.new_matches, error: result.error }, { new_matches: 2, error: null });
+  const [retry] = hooks.splice(0);
+  assert.deepStrictEqual(retry.permits.map(p => p.id).sort(), ['a-1', 'a-2']);
+  assert.strictEqual(sent(mails), 0);
+
+  result = await alerts.runSearch(alerts.getSearch(search.id));
+  assert.strictEqual(result.new_matches, 0);
+  assert.strictEqual(sent(hooks) + sent(mails), 0);
+  alerts.deleteSearch(search.id);
+});
+
+test('a failed email is retried alone, and new permits go to both channels', async () => {
+  const search = alerts.createSearch({
+    name: 'Congress', params: { city: 'austin', q: 'Congress' },
+    webhook_url: `http://127.0.0.1:${webhook.address().port}/hook`, email: 'rep@example.com',
+  });
+  addPermit('b-1');
+
+  smtpDown = true;
+  let result = await alerts.runSearch(alerts.getSearch(search.id));
+  assert.match(result.error, /^email: /);
+  assert.strictEqual(sent(hooks), 1);
+  assert.strictEqual(sent(mails), 0);
+
+  smtpDown = false;
+  addPermit('b-2');
+  result = await alerts.runSearch(alerts.getSearch(search.id));
+  assert.strictEqual(result.error, null);
+  const [hook] = hooks.splice(0);
+  assert.deepStrictEqual(hook.permits.map(p => p.id), ['b-2']);
+  const [mail] = mails.splice(0);
+  assert.match(mail, /b-1 Congress Ave/);
+  assert.match(mail, /b-2 Congress Ave/);
+});
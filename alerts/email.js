@@ -0,0 +1,43 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings come from the environment; SMTP_HOST unset means email is off.
+let transport;
+function getTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST not set');
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+}
+
+const esc = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const money = (v) => v ? `$${Math.round(v).toLocaleString()}` : '—';
+
+async function sendEmail(to, digest) {
+  const shown = digest.permits.slice(0, digest.shown);
+  const more = digest.permits.length - shown.length;
+  const text = [
+    digest.title, '',
+    ...shown.map(p => `${p.address} (${p.city}) — ${p.permit_type || 'permit'}, ${money(p.estimated_value)}, risk ${p.risk_level || 'n/a'}, ${p.permit_date || ''}`),
+    more > 0 ? `…and ${more} more` : '',
+  ].join('\n');
+  const rows = shown.map(p => `<tr><td>${esc(p.city)}</td><td>${esc(p.address)}</td><td>${esc(p.permit_type)}</td><td>${money(p.estimated_value)}</td><td>${esc(p.risk_level || '—')}</td><td>${esc(p.contractor_name)}</td><td>${esc(p.permit_date)}</td></tr>`).join('');
+  const html = `<h3>${esc(digest.title)}</h3>
+<table border="1" cellpadding="4" cellspacing="0" style="border-collapse:collapse;font-size:13px">
+<tr><th>City</th><th>Address</th><th>Type</th><th>Value</th><th>Risk</th><th>Contractor</th><th>Date</th></tr>${rows}</table>
+${more > 0 ? `<p>…and ${more} more</p>` : ''}`;
+  await getTransport().sendMail({
+    from: process.env.ALERT_FROM || 'PermitBot <permitbot@localhost>',
+    to,
+    subject: digest.title,
+    text,
+    html,
+  });
+}
+
+module.exports = { sendEmail };
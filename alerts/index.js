@@ -0,0 +1,159 @@
+const db = require('../db');
+const { PERMIT_SELECT, filterError, ftsQuery, permitFilters, pickFilters, withRiskFactors } = require('../permit-query');
+const leads = require('../leads');
+const accounts = require('../accounts');
+const access = require('../access');
+const { sendWebhook } = require('./webhook');
+const { sendEmail } = require('./email');
+
+// ─── Saved Searches + Alerts ──────────────────────────────────────
+// A saved search is a named set of /permits filters plus delivery channels.
+// After each refresh every search is re-run; permits it hasn't matched before
+// are sent as a digest, then remembered in saved_search_matches.
+// On creation the current matches are recorded without sending, so the first
+// alert only carries permits that are genuinely new. Until every channel has
+// taken a permit, saved_search_deliveries remembers which ones already did. A search saved by a
+// signed-in user only matches permits in that user's territory.
+
+const MAX_MATCHES = 500;   // newest permits considered per run
+const DIGEST_SHOWN = 25;   // listed in the message body; the webhook payload carries all
+
+function parseSearch(row) {
+  return row && { ...row, params: JSON.parse(row.params) };
+}
+
+// Returns an error message, or null when the body is a valid saved search
+function validateSearch(body) {
+  if (!body || !body.name || !String(body.name).trim()) return 'name is required';
+  if (!body.webhook_url && !body.email) return 'webhook_url or email is required';
+  if (body.webhook_url && !/^https?:\/\//.test(body.webhook_url)) return 'webhook_url must be http(s)';
+  if (body.email && !/^[^@\s]+@[^@\s]+$/.test(body.email)) return 'email is invalid';
+  return filterError(body.params || {}) || queryError(body.params || {});
+}
+
+// A q the FTS index can't parse, reported as /permits reports it
+function queryError(params) {
+  const search = params.q && ftsQuery(params.q);
+  if (!search) return null;
+  try {
+    db.prepare('SELECT 1 FROM permits_fts WHERE permits_fts MATCH ? LIMIT 1').get(search);
+    return null;
+  } catch (err) {
+    return `invalid search: ${err.message}`;
+  }
+}
+
+function currentMatches(params, scope) {
+  const filters = permitFilters(params, scope);
+  return withRiskFactors(db.prepare(`${PERMIT_SELECT}${filters.sql} ORDER BY p.permit_date DESC, p.estimated_value DESC LIMIT ?`)
+    .all(leads.DEFAULT_PROFILE, ...filters.params, MAX_MATCHES));
+}
+
+const markMatched = db.transaction((searchId, permits) => {
+  const stmt = db.prepare('INSERT OR IGNORE INTO saved_search_matches (search_id, permit_id) VALUES (?, ?)');
+  for (const p of permits) stmt.run(searchId, p.id);
+});
+
+// The owner's territory filter; undefined when the owner has been disabled or
+// the API key that created the search has been revoked
+function ownerScope(search) {
+  if (search.key_id) {
+    const key = access.getKey(search.key_id);
+    return !key || key.revoked_at ? undefined : null;
+  }
+  if (!search.user_id) return null;
+  const owner = accounts.getUser(search.user_id);
+  if (!owner || owner.disabled_at) return undefined;
+  return accounts.userScope(owner).filter;
+}
+
+// `owner` is the user or API key creating it: { user_id, key_id }
+function createSearch(body, { user_id = null, key_id = null } = {}) {
+  const params = pickFilters(body.params || {});
+  const id = db.prepare('INSERT INTO saved_searches (name, params, webhook_url, email, user_id, key_id) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(String(body.name).trim(), JSON.stringify(params), body.webhook_url || null, body.email || null, user_id, key_id).lastInsertRowid;
+  const search = getSearch(id);
+  markMatched(id, currentMatches(params, ownerScope(search)));
+  return search;
+}
+
+// Every search, or only those one owner ({ user_id, key_id }) created
+function listSearches(owner = null) {
+  const rows = owner
+    ? db.prepare('SELECT * FROM saved_searches WHERE user_id IS ? AND key_id IS ? ORDER BY id').all(owner.user_id, owner.key_id)
+    : db.prepare('SELECT * FROM saved_searches ORDER BY id').all();
+  return rows.map(parseSearch);
+}
+
+function getSearch(id) {
+  return parseSearch(db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(id));
+}
+
+function deleteSearch(id) {
+  db.prepare('DELETE FROM saved_search_matches WHERE search_id = ?').run(id);
+  db.prepare('DELETE FROM saved_search_deliveries WHERE search_id = ?').run(id);
+  return db.prepare('DELETE FROM saved_searches WHERE id = ?').run(id).changes > 0;
+}
+
+const markDelivered = db.transaction((searchId, channel, permits) => {
+  const stmt = db.prepare('INSERT OR IGNORE INTO saved_search_deliveries (search_id, permit_id, channel) VALUES (?, ?, ?)');
+  for (const p of permits) stmt.run(searchId, p.id, channel);
+});
+
+function digestOf(search, permits) {
+  return {
+    title: `PermitBot: ${permits.length} new permit${permits.length === 1 ? '' : 's'} for "${search.name}"`,
+    search: { id: search.id, name: search.name, params: search.params },
+    permits,
+    shown: DIGEST_SHOWN,
+  };
+}
+
+// Delivers new matches for one search. A permit is marked matched once every
+// channel has taken it; a channel that failed gets it again on the next run,
+// the ones that succeeded don't.
+async function runSearch(search) {
+  const scope = ownerScope(search);
+  if (scope === undefined) return { id: search.id, new_matches: 0, error: 'owner is disabled or revoked' };
+  const seen = db.prepare('SELECT 1 FROM saved_search_matches WHERE search_id = ? AND permit_id = ?');
+  const delivered = db.prepare('SELECT 1 FROM saved_search_deliveries WHERE search_id = ? AND permit_id = ? AND channel = ?');
+  const fresh = currentMatches(search.params, scope).filter(p => !seen.get(search.id, p.id));
+  const channels = [
+    search.webhook_url && ['webhook', (digest) => sendWebhook(search.webhook_url, digest)],
+    search.email && ['email', (digest) => sendEmail(search.email, digest)],
+  ].filter(Boolean);
+  const errors = [];
+  for (const [channel, send] of channels) {
+    const pending = fresh.filter(p => !delivered.get(search.id, p.id, channel));
+    if (!pending.length) continue;
+    try {
+      await send(digestOf(search, pending));
+      markDelivered(search.id, channel, pending);
+    } catch (err) {
+      errors.push(`${channel}: ${err.message}`);
+    }
+  }
+  if (fresh.length && !errors.length) {
+    markMatched(search.id, fresh);
+    db.prepare('DELETE FROM saved_search_deliveries WHERE search_id = ?').run(search.id);
+  }
+  db.prepare(`UPDATE saved_searches SET last_run_at = datetime('now'), last_match_count = ?, last_error = ? WHERE id = ?`)
+    .run(fresh.length, errors.join('; ') || null, search.id);
+  if (errors.length) console.error(`[alerts] "${search.name}" delivery failed:`, errors.join('; '));
+  else if (fresh.length) console.log(`[alerts] "${search.name}" sent ${fresh.length} new permits`);
+  return { id: search.id, new_matches: fresh.length, error: errors.join('; ') || null };
+}
+
+async function runSavedSearches() {
+  const results = [];
+  for (const search of listSearches()) {
+    try {
+      results.push(await runSearch(search));
+    } catch (err) {
+      console.error(`[alerts] "${search.name}" error:`, err.message);
+    }
+  }
+  return results;
+}
+
+module.exports = { validateSearch, createSearch, listSearches, getSearch, deleteSearch, runSearch, runSavedSearches };
@@ -0,0 +1,17 @@
+const axios = require('axios');
+
+// Slack-compatible incoming webhook: `text` renders in Slack, and the structured
+// `search` / `permits` fields are there for any other receiver (Zapier, n8n, a CRM).
+async function sendWebhook(url, digest) {
+  const lines = digest.permits.slice(0, digest.shown).map(p =>
+    `• ${p.address} (${p.city}) — ${p.permit_type || 'permit'}${p.estimated_value ? `, $${Math.round(p.estimated_value).toLocaleString()}` : ''}${p.risk_level ? ` [${p.risk_level}]` : ''}`
+  );
+  if (digest.permits.length > digest.shown) lines.push(`…and ${digest.permits.length - digest.shown} more`);
+  await axios.post(url, {
+    text: `*${digest.title}*\n${lines.join('\n')}`,
+    search: digest.search,
+    permits: digest.permits,
+  }, { timeout: 15000 });
+}
+
+module.exports = { sendWebhook };
@@ -0,0 +1,150 @@
+const db = require('../db');
+
+// ─── Contractor Entities ──────────────────────────────────────────
+// Cities store contractor names however they were typed ("ABC BUILDERS LLC",
+// "Abc Builders, L.L.C."), and some pack several into one field (New Orleans).
+// Each name is split out, reduced to a match key, and every permit is linked to
+// one contractor row per key through permit_contractors. permits.contractor_name
+// keeps the raw string.
+
+const LEGAL_SUFFIXES = new Set([
+  'LLC', 'LC', 'INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LTD', 'LIMITED',
+  'LP', 'LLP', 'PLLC', 'PC', 'PA', 'DBA',
+]);
+const ABBREVIATIONS = {
+  CONST: 'CONSTRUCTION', CONSTR: 'CONSTRUCTION', CONSTRUCTN: 'CONSTRUCTION', CNSTR: 'CONSTRUCTION',
+  BLDRS: 'BUILDERS', BLDR: 'BUILDER', BLDG: 'BUILDING', SVCS: 'SERVICES', SVC: 'SERVICE',
+  ELEC: 'ELECTRIC', ELECT: 'ELECTRIC', MECH: 'MECHANICAL', PLBG: 'PLUMBING', PLMB: 'PLUMBING',
+  ROOFG: 'ROOFING', DEV: 'DEVELOPMENT', GRP: 'GROUP', ENT: 'ENTERPRISES', INTL: 'INTERNATIONAL',
+  '&': 'AND',
+};
+// Placeholder values some feeds use when no contractor is on file
+const NOT_A_CONTRACTOR = /^(OWNER|OWNER BUILDER|HOMEOWNER|SELF|NONE|NA|N A|TBD|UNKNOWN|NOT APPLICABLE)$/;
+
+// "Abc Builders, L.L.C." → "ABC BUILDERS"; "J SMITH DBA SMITH ROOFING" → "SMITH ROOFING"
+function contractorKey(name) {
+  let s = String(name || '').toUpperCase()
+    .replace(/\b([A-Z])\.(?=[A-Z]\.?)/g, '$1')   // L.L.C. → LLC
+    .replace(/[^A-Z0-9& ]+/g, ' ');
+  const dba = s.match(/\b(?:DBA|D B A)\b(.+)$/);
+  if (dba && dba[1].trim()) s = dba[1];
+  const words = s.split(/\s+/).filter(Boolean).map(w => ABBREVIATIONS[w] || w);
+  if (words[0] === 'THE') words.shift();
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+  const key = words.join(' ');
+  return NOT_A_CONTRACTOR.test(key) ? '' : key;
+}
+
+// One raw field → individual contractor names. Commas only split when the piece
+// after them isn't a legal suffix ("Builders, LLC" stays one name).
+function splitContractors(raw) {
+  const names = [];
+  for (const part of String(raw || '').split(/[;|\n]+|\s+\/\s+/)) {
+    for (const piece of part.split(',')) {
+      const p = piece.trim();
+      if (!p) continue;
+      if (names.length && LEGAL_SUFFIXES.has(p.toUpperCase().replace(/[^A-Z]/g, ''))) names[names.length - 1] += `, ${p}`;
+      else names.push(p);
+    }
+  }
+  return names;
+}
+
+const findByKey = db.prepare('SELECT id FROM contractors WHERE name_key = ?');
+const insertContractor = db.prepare('INSERT INTO contractors (name_key, name) VALUES (?, ?)');
+const unlinkPermit = db.prepare('DELETE FROM permit_contractors WHERE permit_id = ?');
+const linkPermit = db.prepare('INSERT OR IGNORE INTO permit_contractors (permit_id, contractor_id, position) VALUES (?, ?, ?)');
+
+function resolve(name) {
+  const key = contractorKey(name);
+  if (!key) return null;
+  const hit = findByKey.get(key);
+  return hit ? hit.id : insertContractor.run(key, name.trim()).lastInsertRowid;
+}
+
+// Re-links one stored permit to its contractors (call inside the store transaction).
+// Returns how many contractors it was linked to.
+function linkContractors(rec) {
+  unlinkPermit.run(rec.id);
+  let n = 0;
+  splitContractors(rec.contractor_name).forEach((name, i) => {
+    const id = resolve(name);
+    if (id) n += linkPermit.run(rec.id, id, i).changes;
+  });
+  return n;
+}
+
+// Links stored permits that have a contractor name but no links yet
+// (permits from before contractor entities existed)
+function linkStored() {
+  const rows = db.prepare(`
+    SELECT id, contractor_name FROM permits p
+    WHERE contractor_name != '' AND NOT EXISTS (SELECT 1 FROM permit_contractors pc WHERE pc.permit_id = p.id)
+  `).all();
+  let n = 0;
+  db.transaction(() => { for (const r of rows) if (linkContractors(r)) n++; })();
+  return n;
+}
+
+const CONTRACTOR_STATS = `
+  SELECT c.id, c.name, COUNT(*) as permit_count, SUM(p.estimated_value) as total_value,
+    GROUP_CONCAT(DISTINCT p.city) as cities, MAX(p.permit_date) as last_permit_date
+  FROM contractors c
+  JOIN permit_contractors pc ON pc.contractor_id = c.id
+  JOIN permits p ON p.id = pc.permit_id
+`;
+const CONTRACTOR_SORTS = {
+  permits: 'permit_count DESC',
+  value: 'total_value DESC',
+  recent: 'last_permit_date DESC',
+};
+
+function withCities(row) {
+  return row && { ...row, cities: row.cities ? row.cities.split(',').sort() : [] };
+}
+
+// query: q (name search), city, days (active within), sort, limit. `scope` (a
+// user's territory filter, accounts/) counts only the permits inside it.
+function listContractors(query, scope = null) {
+  const { q, city, days, sort = 'permits', limit = 100 } = query;
+  let sql = CONTRACTOR_STATS + ' WHERE 1=1';
+  const params = [];
+  if (q) { sql += ' AND c.name_key LIKE ?'; params.push(`%${contractorKey(q) || String(q).toUpperCase()}%`); }
+  if (city) { sql += ' AND p.city = ?'; params.push(city.toLowerCase()); }
+  if (days) { sql += ` AND p.permit_date >= date('now', '-${parseInt(days)} days')`; }
+  if (scope) { sql += scope.sql; params.push(...scope.params); }
+  sql += ` GROUP BY c.id ORDER BY ${CONTRACTOR_SORTS[sort] || CONTRACTOR_SORTS.permits}, c.id LIMIT ?`;
+  params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+  return db.prepare(sql).all(...params).map(withCities);
+}
+
+const RECENT_JOBS = 20;
+
+// One contractor with its stats, cities, aliases and recent jobs. With a `scope`,
+// only permits inside it count, and a contractor with none there is not found.
+function getContractor(id, scope = null) {
+  const within = scope ? scope.sql : '', params = scope ? scope.params : [];
+  const contractor = withCities(db.prepare(CONTRACTOR_STATS + ` WHERE c.id = ?${within} GROUP BY c.id`).get(id, ...params));
+  if (!contractor) return null;
+  const byCity = db.prepare(`
+    SELECT p.city, COUNT(*) as permit_count, SUM(p.estimated_value) as total_value
+    FROM permit_contractors pc JOIN permits p ON p.id = pc.permit_id
+    WHERE pc.contractor_id = ?${within} GROUP BY p.city ORDER BY permit_count DESC
+  `).all(id, ...params);
+  const { name_key } = db.prepare('SELECT name_key FROM contractors WHERE id = ?').get(id);
+  const fields = db.prepare(`
+    SELECT DISTINCT p.contractor_name FROM permit_contractors pc JOIN permits p ON p.id = pc.permit_id
+    WHERE pc.contractor_id = ?${within} LIMIT 200
+  `).all(id, ...params);
+  const aliases = [...new Set(fields.flatMap(r => splitContractors(r.contractor_name)).filter(n => contractorKey(n) === name_key))];
+  const recent = db.prepare(`
+    SELECT p.id, p.city, p.address, p.permit_type, p.category, p.estimated_value, p.permit_date, p.status, p.zip_code
+    FROM permit_contractors pc JOIN permits p ON p.id = pc.permit_id
+    WHERE pc.contractor_id = ?${within} ORDER BY p.permit_date DESC LIMIT ?
+  `).all(id, ...params, RECENT_JOBS);
+  return { ...contractor, by_city: byCity, aliases, recent_permits: recent };
+}
+
+module.exports = {
+  CONTRACTOR_SORTS, contractorKey, splitContractors, linkContractors, linkStored, listContractors, getContractor,
+};
@@ -0,0 +1,41 @@
+const { request } = require('../http');
+
+// HubSpot CRM v3 — batch upsert into `object` (deals by default), keyed on the
+// `id_property` custom property (permit_id), so a permit is one deal however
+// often it's pushed. Custom properties in the mapping (permit_*) must exist in
+// the portal. url defaults to https://api.hubapi.com; token_env names a private
+// app token.
+// https://developers.hubspot.com/docs/api/crm/deals
+const FIELDS = {
+  permit_id: '{id}',
+  dealname: '{address} ({city})',
+  amount: '{estimated_value}',
+  closedate: '{expected_completion}',
+  description: '{description}',
+  permit_type: '{permit_type}',
+  permit_category: '{category}',
+  permit_stage: '{stage}',
+  permit_contractor: '{contractor_name}',
+  permit_zip: '{zip_code}',
+  permit_risk_level: '{risk_level}',
+  permit_lead_score: '{lead_score}',
+};
+
+async function push(target, records) {
+  const base = (target.url || 'https://api.hubapi.com').replace(/\/$/, '');
+  const idProperty = target.id_property || 'permit_id';
+  const inputs = records.map(r => ({ idProperty, id: r.permit_id, properties: { ...r.properties, [idProperty]: r.permit_id } }));
+  try {
+    const res = await request(target, { method: 'post', url: `${base}/crm/v3/objects/${target.object || 'deals'}/batch/upsert`, data: { inputs } });
+    const byPermit = new Map((res.data.results || []).map(o => [String(o.properties && o.properties[idProperty]), o]));
+    return records.map((r) => {
+      const o = byPermit.get(r.permit_id);
+      return o ? { permit_id: r.permit_id, remote_id: String(o.id), created: !!o.new } : { permit_id: r.permit_id, error: 'missing from batch response' };
+    });
+  } catch (err) {
+    if (err.unreachable) throw err;
+    return records.map(r => ({ permit_id: r.permit_id, error: err.message }));
+  }
+}
+
+module.exports = { fields: FIELDS, batchSize: 100, push };
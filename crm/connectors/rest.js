@@ -0,0 +1,24 @@
+const { request } = require('../http');
+const { EXPORT_COLUMNS } = require('../../export');
+
+// Generic REST — one idempotent PUT per permit to `${url}/${permit_id}` with the
+// mapped fields as a JSON body. The receiver creates or replaces the record
+// (201 = created) and may answer with its own `id`, kept as the remote ID.
+const FIELDS = Object.fromEntries(EXPORT_COLUMNS.map(c => [c, `{${c}}`]));
+
+async function push(target, records) {
+  const results = [];
+  for (const r of records) {
+    try {
+      const res = await request(target, { method: 'put', url: `${target.url.replace(/\/$/, '')}/${encodeURIComponent(r.permit_id)}`, data: r.properties });
+      const id = res.data && res.data.id;
+      results.push({ permit_id: r.permit_id, remote_id: id ? String(id) : r.permit_id, created: res.status === 201 });
+    } catch (err) {
+      if (err.unreachable) throw err;
+      results.push({ permit_id: r.permit_id, error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = { fields: FIELDS, batchSize: 50, push };
@@ -0,0 +1,47 @@
+const { request } = require('../http');
+
+// Salesforce REST — sObject Collections upsert into `object` (Lead by default)
+// on the `external_id` field (Permit_ID__c, an External ID field you add), so a
+// permit is one lead however often it's pushed. url is the org's instance URL;
+// token_env names an OAuth access token.
+// https://developer.salesforce.com/docs/atlas.en-us.api_rest.meta/api_rest/resources_composite_sobjects_collections_upsert.htm
+const API_VERSION = 'v59.0';
+const FIELDS = {
+  Company: '{contractor_name|Unknown contractor}',
+  LastName: '{address|Unknown address}',
+  Street: '{address}',
+  City: '{city}',
+  PostalCode: '{zip_code}',
+  Description: '{description}',
+  LeadSource: 'PermitBot',
+  Permit_Type__c: '{permit_type}',
+  Permit_Value__c: '{estimated_value}',
+  Permit_Date__c: '{permit_date}',
+  Risk_Level__c: '{risk_level}',
+  Lead_Score__c: '{lead_score}',
+};
+
+async function push(target, records) {
+  const object = target.object || 'Lead';
+  const externalId = target.external_id || 'Permit_ID__c';
+  const url = `${target.url.replace(/\/$/, '')}/services/data/${target.api_version || API_VERSION}/composite/sobjects/${object}/${externalId}`;
+  const data = {
+    allOrNone: false,
+    records: records.map(r => ({ attributes: { type: object }, ...r.properties, [externalId]: r.permit_id })),
+  };
+  try {
+    const res = await request(target, { method: 'patch', url, data });
+    // One result per record, in request order
+    return records.map((r, i) => {
+      const result = (res.data || [])[i];
+      if (!result) return { permit_id: r.permit_id, error: 'missing from batch response' };
+      if (!result.success) return { permit_id: r.permit_id, error: (result.errors || []).map(e => e.message).join('; ') || 'rejected' };
+      return { permit_id: r.permit_id, remote_id: result.id, created: !!result.created };
+    });
+  } catch (err) {
+    if (err.unreachable) throw err;
+    return records.map(r => ({ permit_id: r.permit_id, error: err.message }));
+  }
+}
+
+module.exports = { fields: FIELDS, batchSize: 200, push };
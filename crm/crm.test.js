@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PERMITS_DB = ':memory:';
+process.env.TEST_CRM_TOKEN = 'secret';
+const db = require('../db');
+const crm = require('.');
+
+// HubSpot and Salesforce upsert stubs over one record store; Salesforce turns
+// away the permit IDs in `rejected`
+const records = new Map();  // `${object}|${key}` → { id, properties, writes }
+const rejected = new Set();
+const auth = [];
+let nextId = 1;
+function upsert(object, key, properties) {
+  const existing = records.get(`${object}|${key}`);
+  const record = existing
+    ? { ...existing, properties: { ...existing.properties, ...properties }, writes: existing.writes + 1 }
+    : { id: String(nextId++), properties, writes: 1 };
+  records.set(`${object}|${key}`, record);
+  return { record, created: !existing };
+}
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    auth.push(req.headers.authorization);
+    const data = JSON.parse(body);
+    res.setHeader('content-type', 'application/json');
+    const hubspot = req.url.match(/^\/crm\/v3\/objects\/(\w+)\/batch\/upsert$/);
+    if (req.method === 'POST' && hubspot) {
+      return res.end(JSON.stringify({
+        status: 'COMPLETE',
+        results: data.inputs.map((input) => {
+          const { record, created } = upsert(hubspot[1], input.id, input.properties);
+          return { id: record.id, properties: record.properties, new: created };
+        }),
+      }));
+    }
+    const salesforce = req.url.match(/^\/services\/data\/[\w.]+\/composite\/sobjects\/(\w+)\/(\w+)$/);
+    if (req.method === 'PATCH' && salesforce) {
+      return res.end(JSON.stringify(data.records.map((r) => {
+        const key = r[salesforce[2]];
+        if (rejected.has(key)) return { success: false, errors: [{ message: 'REQUIRED_FIELD_MISSING' }] };
+        const { record, created } = upsert(salesforce[1], key, r);
+        return { id: record.id, success: true, created, errors: [] };
+      })));
+    }
+    res.statusCode = 404;
+    res.end('{}');
+  });
+});
+
+let targets, dir;
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permit-bot-integrations-'));
+  const integration = (name, config) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ url, token_env: 'TEST_CRM_TOKEN', ...config }));
+  integration('hubspot', { type: 'hubspot', filters: { city: 'austin' } });
+  integration('salesforce', { type: 'salesforce', filters: { city: 'san_francisco' } });
+  targets = crm.loadConnectors(dir);
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true });
+});
+
+const today = new Date().toISOString().slice(0, 10);
+const addPermit = (id, city) => db.prepare(`
+  INSERT INTO permits (id, city, address, permit_type, contractor_name, estimated_value, permit_date, status, zip_code)
+  VALUES (?, ?, ?, 'Building', 'ABC Builders', 250000, ?, 'Issued', '78701')
+`).run(id, city, `${id} Main St`, today);
+const record = (object, key) => records.get(`${object}|${key}`);
+
+test('HubSpot upserts on permit_id and only re-sends changed permits', async () => {
+  addPermit('hs-1', 'austin');
+  addPermit('hs-2', 'austin');
+  let run = await crm.syncConnector(targets.hubspot);
+  assert.deepStrictEqual([run.pushed, run.created, run.updated, run.failed, run.error], [2, 2, 0, 0, null]);
+  assert.strictEqual(auth.pop(), 'Bearer secret');
+  assert.strictEqual(record('deals', 'hs-1').properties.dealname, 'hs-1 Main St (austin)');
+  assert.strictEqual(record('deals', 'hs-1').properties.permit_id, 'hs-1');
+
+  run = await crm.syncConnector(targets.hubspot);
+  assert.strictEqual(run.pushed, 0);
+
+  db.prepare(`UPDATE permits SET estimated_value = 900000 WHERE id = 'hs-2'`).run();
+  run = await crm.syncConnector(targets.hubspot);
+  assert.deepStrictEqual([run.pushed, run.created, run.updated], [1, 0, 1]);
+  assert.strictEqual(record('deals', 'hs-2').properties.amount, 900000);
+  assert.deepStrictEqual([record('deals', 'hs-1').writes, record('deals', 'hs-2').writes], [1, 2]);
+
+  run = await crm.syncConnector(targets.hubspot, { full: true });
+  assert.deepStrictEqual([run.pushed, run.created, run.updated], [2, 0, 2]);
+  assert.strictEqual([...records.keys()].filter(k => k.startsWith('deals|')).length, 2);
+});
+
+test('Salesforce upserts on Permit_ID__c and retries only the rejected record', async () => {
+  addPermit('sf-1', 'san_francisco');
+  addPermit('sf-2', 'san_francisco');
+  rejected.add('sf-2');
+  let run = await crm.syncConnector(targets.salesforce);
+  assert.deepStrictEqual([run.pushed, run.created, run.failed], [2, 1, 1]);
+  assert.strictEqual(record('Lead', 'sf-1').properties.Company, 'ABC Builders');
+  assert.strictEqual(record('Lead', 'sf-1').properties.LeadSource, 'PermitBot');
+  const failure = db.prepare(`SELECT status, attempts, last_error FROM crm_sync WHERE connector = 'salesforce' AND permit_id = 'sf-2'`).get();
+  assert.deepStrictEqual({ ...failure }, { status: 'retry', attempts: 1, last_error: 'REQUIRED_FIELD_MISSING' });
+
+  // Not due yet: nothing is sent
+  run = await crm.syncConnector(targets.salesforce);
+  assert.strictEqual(run.pushed, 0);
+
+  rejected.clear();
+  db.prepare(`UPDATE crm_sync SET next_attempt_at = datetime('now', '-1 minute') WHERE permit_id = 'sf-2'`).run();
+  run = await crm.syncConnector(targets.salesforce);
+  assert.deepStrictEqual([run.pushed, run.created, run.failed], [1, 1, 0]);
+  assert.deepStrictEqual([record('Lead', 'sf-1').writes, record('Lead', 'sf-2').writes], [1, 1]);
+  assert.strictEqual(db.prepare(`SELECT COUNT(*) as n FROM crm_sync WHERE connector = 'salesforce' AND status = 'synced'`).get().n, 2);
+});
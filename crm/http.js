@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+// Shared CRM HTTP client. Sends the target's bearer token (read from the env
+// var named by `token_env`) plus any configured `headers`, and retries rate
+// limits, 5xx responses and network errors a few times before giving up.
+// Errors where the CRM never answered are flagged `unreachable`: connectors
+// rethrow those so the run stops instead of failing every permit in turn.
+
+const RETRY_DELAYS_MS = [1000, 4000];
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const retryable = (err) => !err.response || err.response.status === 429 || err.response.status >= 500;
+
+// Error message with the CRM's own explanation when it sent one
+function describe(err) {
+  const body = err.response && err.response.data;
+  const detail = body && (typeof body === 'string' ? body : body.message || JSON.stringify(body));
+  return detail ? `${err.message}: ${String(detail).slice(0, 300)}` : err.message;
+}
+
+async function request(target, { method, url, data }) {
+  const headers = { ...target.headers };
+  if (target.token) headers.Authorization = `Bearer ${target.token}`;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios({ method, url, data, headers, timeout: 15000 });
+    } catch (err) {
+      if (attempt >= RETRY_DELAYS_MS.length || !retryable(err)) {
+        throw Object.assign(new Error(describe(err)), { unreachable: !err.response });
+      }
+      const wait = err.response && parseInt(err.response.headers['retry-after']) * 1000;
+      await sleep(wait > 0 ? Math.min(wait, 30000) : RETRY_DELAYS_MS[attempt]);
+    }
+  }
+}
+
+module.exports = { request };
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../db');
+const leads = require('../leads');
+const { MAX_PAGE, cursorKeys, filterError, pageQuery, permitFilters, permitOrder, withoutSortKeys } = require('../permit-query');
+
+// ─── CRM Sync ─────────────────────────────────────────────────────
+// Pushes permits matching each integration's /permits filters into a CRM.
+// One connector per CRM API. Each exports:
+//   fields              default mapping, CRM field → template (see render)
+//   batchSize           max records per push
+//   push(target, records)
+//                       records are [{ permit_id, properties }]; resolves to one
+//                       { permit_id, remote_id, created } or { permit_id, error }
+//                       per record, or rejects when the CRM is unreachable
+//                       (the run stops; unsent permits wait for the next one)
+// Connectors upsert on the permit ID, so pushing a permit twice never makes two
+// CRM records. crm_sync remembers what each permit last sent, so a run only
+// pushes new or changed permits and failures due for a retry.
+const CONNECTORS = {
+  rest: require('./connectors/rest'),
+  hubspot: require('./connectors/hubspot'),
+  salesforce: require('./connectors/salesforce'),
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_MAX_PER_RUN = 2000;
+// Minutes until a failed permit is retried: 10, 20, 40, … capped at a day
+const retryMinutes = (attempts) => Math.min(5 * 2 ** attempts, 1440);
+
+// Mapping templates: "{field}" alone keeps the permit value as is (number, null);
+// anything else is text with {field} placeholders filled in; "{field|fallback}"
+// stands in `fallback` when the field is empty. No braces means a constant.
+const PLACEHOLDER = /\{(\w+)(?:\|([^}]*))?\}/g;
+function render(template, row) {
+  const whole = /^\{(\w+)(?:\|([^}]*))?\}$/.exec(template);
+  if (whole) return row[whole[1]] ?? whole[2] ?? null;
+  return String(template).replace(PLACEHOLDER, (_, field, fallback) => row[field] ?? fallback ?? '');
+}
+
+const mapFields = (fields, row) => Object.fromEntries(Object.entries(fields).map(([k, t]) => [k, render(t, row)]));
+
+// Permit fields that move without the permit changing (lead_score's recency fades
+// daily, fetched_at is bumped on every re-fetch). They're sent along with each
+// push but left out of the hash, so they never cause one on their own.
+const VOLATILE_FIELDS = ['lead_score', 'active_now', 'fetched_at'];
+const isVolatile = (template) => [...String(template).matchAll(PLACEHOLDER)].some(([, field]) => VOLATILE_FIELDS.includes(field));
+const payloadHash = (target, properties) => crypto.createHash('sha1')
+  .update(JSON.stringify(target.hashFields.map(k => properties[k]))).digest('hex');
+
+// Loads every integrations/*.json file. The file name (minus .json) is the
+// integration key. Files with "enabled": false are kept as examples.
+function loadConnectors(dir) {
+  const targets = {};
+  if (!fs.existsSync(dir)) return targets;
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const key = path.basename(file, '.json');
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (config.enabled === false) continue;
+      const connector = CONNECTORS[config.type];
+      if (!connector) throw new Error(`unknown type "${config.type}"`);
+      if (!config.url && config.type !== 'hubspot') throw new Error('missing url');
+      if (config.token_env && !process.env[config.token_env]) throw new Error(`${config.token_env} is not set`);
+      const filters = config.filters || {};
+      const error = filterError(filters) || (permitOrder(filters) ? null : 'invalid filters.sort');
+      if (error) throw new Error(error);
+      const profile = leads.profileOf({ profile: config.profile });
+      if (!profile) throw new Error(`unknown profile "${config.profile}"`);
+      // Configured fields extend the connector's; null drops a default
+      const fields = Object.fromEntries(Object.entries({ ...connector.fields, ...config.fields }).filter(([, t]) => t !== null));
+      targets[key] = {
+        ...config, key, connector, filters, profile, fields,
+        hashFields: Object.keys(fields).filter(k => !isVolatile(fields[k])),
+        token: config.token_env ? process.env[config.token_env] : null,
+        batchSize: Math.min(config.batch_size || connector.batchSize, connector.batchSize),
+        maxAttempts: config.max_attempts || DEFAULT_MAX_ATTEMPTS,
+        maxPerRun: config.max_per_run || DEFAULT_MAX_PER_RUN,
+      };
+    } catch (err) {
+      console.error(`[crm] Skipping ${file}:`, err.message);
+    }
+  }
+  return targets;
+}
+
+// Matching permits that need pushing: never sent, changed since, or failed and due
+// for a retry (`full` re-sends everything that matches). Stops at maxPerRun.
+function pendingPermits(target, full) {
+  const state = db.prepare(`SELECT payload_hash, status, next_attempt_at <= datetime('now') as due FROM crm_sync WHERE connector = ? AND permit_id = ?`);
+  const filters = permitFilters(target.filters);
+  const order = permitOrder(target.filters);
+  const pending = [];
+  let after = null, matched = 0;
+  for (;;) {
+    const page = pageQuery({ profile: target.profile, filters, order, after, limit: MAX_PAGE });
+    const rows = db.prepare(page.sql).all(...page.params);
+    const more = rows.length > MAX_PAGE;
+    if (more) rows.pop();
+    if (rows.length) after = cursorKeys(order, rows[rows.length - 1]);
+    for (const row of withoutSortKeys(rows)) {
+      matched++;
+      const properties = mapFields(target.fields, row);
+      const hash = payloadHash(target, properties);
+      const s = state.get(target.key, row.id);
+      const send = full || !s || s.payload_hash !== hash || (s.status === 'retry' && s.due);
+      if (send) pending.push({ permit_id: row.id, properties, hash });
+      if (pending.length >= target.maxPerRun) return { pending, matched, more: true };
+    }
+    if (!more) return { pending, matched, more: false };
+  }
+}
+
+function recordResults(target, batch, results) {
+  const byPermit = new Map(results.map(r => [r.permit_id, r]));
+  const prev = db.prepare('SELECT payload_hash, attempts FROM crm_sync WHERE connector = ? AND permit_id = ?');
+  const synced = db.prepare(`
+    INSERT INTO crm_sync (connector, permit_id, remote_id, payload_hash, status, attempts, next_attempt_at, last_error, synced_at)
+    VALUES (?, ?, ?, ?, 'synced', 0, NULL, NULL, datetime('now'))
+    ON CONFLICT(connector, permit_id) DO UPDATE SET remote_id = excluded.remote_id, payload_hash = excluded.payload_hash,
+      status = 'synced', attempts = 0, next_attempt_at = NULL, last_error = NULL, synced_at = excluded.synced_at
+  `);
+  const failed = db.prepare(`
+    INSERT INTO crm_sync (connector, permit_id, payload_hash, status, attempts, next_attempt_at, last_error)
+    VALUES (?, ?, ?, ?, ?, datetime('now', ?), ?)
+    ON CONFLICT(connector, permit_id) DO UPDATE SET payload_hash = excluded.payload_hash, status = excluded.status,
+      attempts = excluded.attempts, next_attempt_at = excluded.next_attempt_at, last_error = excluded.last_error
+  `);
+  const counts = { created: 0, updated: 0, failed: 0 };
+  db.transaction(() => {
+    for (const p of batch) {
+      const r = byPermit.get(p.permit_id) || { error: 'no result from connector' };
+      if (!r.error) {
+        synced.run(target.key, p.permit_id, r.remote_id || null, p.hash);
+        counts[r.created ? 'created' : 'updated']++;
+        continue;
+      }
+      // Attempts count per payload: a changed permit starts over
+      const before = prev.get(target.key, p.permit_id);
+      const attempts = (before && before.payload_hash === p.hash ? before.attempts : 0) + 1;
+      const status = attempts >= target.maxAttempts ? 'failed' : 'retry';
+      failed.run(target.key, p.permit_id, p.hash, status, attempts, `+${retryMinutes(attempts)} minutes`, r.error);
+      counts.failed++;
+    }
+  })();
+  return counts;
+}
+
+const running = new Set();
+
+// One sync run for one integration, logged in crm_sync_runs. `trigger` says what
+// started it (refresh, retry, manual).
+async function syncConnector(target, { full = false, trigger = 'manual' } = {}) {
+  if (running.has(target.key)) return { connector: target.key, error: 'sync already running' };
+  running.add(target.key);
+  const runId = db.prepare('INSERT INTO crm_sync_runs (connector, triggered_by) VALUES (?, ?)').run(target.key, trigger).lastInsertRowid;
+  const stats = { matched: 0, pushed: 0, created: 0, updated: 0, failed: 0, more: false };
+  let error = null;
+  try {
+    const { pending, matched, more } = pendingPermits(target, full);
+    Object.assign(stats, { matched, more });
+    for (let i = 0; i < pending.length; i += target.batchSize) {
+      const batch = pending.slice(i, i + target.batchSize);
+      const results = await target.connector.push(target, batch.map(p => ({ permit_id: p.permit_id, properties: p.properties })));
+      const counts = recordResults(target, batch, results);
+      stats.pushed += batch.length;
+      stats.created += counts.created;
+      stats.updated += counts.updated;
+      stats.failed += counts.failed;
+    }
+  } catch (err) {
+    error = err.message;
+  } finally {
+    running.delete(target.key);
+  }
+  db.prepare(`
+    UPDATE crm_sync_runs SET finished_at = datetime('now'), matched = ?, pushed = ?, created = ?, updated = ?, failed = ?, error = ?
+    WHERE id = ?
+  `).run(stats.matched, stats.pushed, stats.created, stats.updated, stats.failed, error, runId);
+  if (error) console.error(`[crm] ${target.key} error:`, error);
+  else if (stats.pushed) console.log(`[crm] ${target.key}: ${stats.created} created, ${stats.updated} updated, ${stats.failed} failed`);
+  return { connector: target.key, ...stats, error };
+}
+
+async function syncAll(targets, trigger) {
+  const results = [];
+  for (const target of Object.values(targets)) results.push(await syncConnector(target, { trigger }));
+  return results;
+}
+
+// An integration as the API shows it (no token or headers)
+function describeConnector(target) {
+  const counts = Object.fromEntries(db.prepare('SELECT status, COUNT(*) as n FROM crm_sync WHERE connector = ? GROUP BY status')
+    .all(target.key).map(r => [r.status, r.n]));
+  return {
+    key: target.key, type: target.type, url: target.url || null, object: target.object || null,
+    filters: target.filters, profile: target.profile, fields: target.fields,
+    synced: counts.synced || 0, retrying: counts.retry || 0, failed: counts.failed || 0,
+    last_run: db.prepare('SELECT * FROM crm_sync_runs WHERE connector = ? ORDER BY id DESC LIMIT 1').get(target.key) || null,
+  };
+}
+
+// Plus recent runs and the permits currently failing
+function connectorStatus(target) {
+  return {
+    ...describeConnector(target),
+    runs: db.prepare('SELECT * FROM crm_sync_runs WHERE connector = ? ORDER BY id DESC LIMIT 20').all(target.key),
+    failures: db.prepare(`
+      SELECT permit_id, status, attempts, next_attempt_at, last_error FROM crm_sync
+      WHERE connector = ? AND status != 'synced' ORDER BY attempts DESC, permit_id LIMIT 100
+    `).all(target.key),
+  };
+}
+
+module.exports = { CONNECTORS, render, loadConnectors, syncConnector, syncAll, describeConnector, connectorStatus };
@@ -0,0 +1,69 @@
+const express = require('express');
+
+// ─── Mock CRM ─────────────────────────────────────────────────────
+// A local stand-in for the three connector APIs, for trying integrations
+// without a CRM account: `npm run crm-mock`, then point an integration's url
+// at http://localhost:9400 (rest: http://localhost:9400/leads).
+//   CRM_MOCK_PORT        port (default 9400)
+//   CRM_MOCK_TOKEN       require this bearer token
+//   CRM_MOCK_FAIL_EVERY  answer every Nth request with a 503 (exercises retries)
+// GET /records lists everything received, DELETE /records clears it.
+
+const PORT = parseInt(process.env.CRM_MOCK_PORT) || 9400;
+const TOKEN = process.env.CRM_MOCK_TOKEN;
+const FAIL_EVERY = parseInt(process.env.CRM_MOCK_FAIL_EVERY) || 0;
+
+const records = new Map();  // `${object}|${key}` → { id, object, key, properties, writes }
+let nextId = 1, requests = 0;
+
+// Creates or updates one record, returning it and whether it's new
+function upsert(object, key, properties) {
+  const existing = records.get(`${object}|${key}`);
+  const record = existing
+    ? { ...existing, properties: { ...existing.properties, ...properties }, writes: existing.writes + 1 }
+    : { id: String(nextId++), object, key, properties, writes: 1 };
+  records.set(`${object}|${key}`, record);
+  return { record, created: !existing };
+}
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+app.use((req, res, next) => {
+  if (req.path === '/records') return next();
+  requests++;
+  console.log(`[crm-mock] ${req.method} ${req.path}`);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return res.status(401).json({ message: 'bad token' });
+  if (FAIL_EVERY && requests % FAIL_EVERY === 0) return res.status(503).json({ message: 'mock outage' });
+  next();
+});
+
+// HubSpot: batch upsert keyed on each input's idProperty
+app.post('/crm/v3/objects/:object/batch/upsert', (req, res) => {
+  const results = (req.body.inputs || []).map((input) => {
+    const { record, created } = upsert(req.params.object, input.id, input.properties);
+    return { id: record.id, properties: record.properties, new: created };
+  });
+  res.json({ status: 'COMPLETE', results });
+});
+
+// Salesforce: sObject Collections upsert on an external ID field
+app.patch('/services/data/:version/composite/sobjects/:object/:field', (req, res) => {
+  res.json((req.body.records || []).map((r) => {
+    const key = r[req.params.field];
+    if (!key) return { success: false, errors: [{ message: `missing ${req.params.field}` }] };
+    const { record, created } = upsert(req.params.object, key, r);
+    return { id: record.id, success: true, created, errors: [] };
+  }));
+});
+
+// Generic REST: PUT <anything>/<key>
+app.put(/^\/(.*)\/([^/]+)$/, (req, res) => {
+  const { record, created } = upsert(req.params[0], decodeURIComponent(req.params[1]), req.body);
+  res.status(created ? 201 : 200).json({ id: record.id });
+});
+
+app.get('/records', (req, res) => res.json({ count: records.size, requests, results: [...records.values()] }));
+app.delete('/records', (req, res) => { records.clear(); res.json({ ok: true }); });
+
+app.listen(PORT, () => console.log(`[crm-mock] Listening on port ${PORT}`));
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// ─── CSV Reading ──────────────────────────────────────────────────
+// Minimal RFC 4180 line parser + streaming reader for local bulk imports.
+// Quoted fields may contain commas and doubled quotes, not line breaks.
+
+function parseCsvLine(line) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur); cur = ''; }
+    else cur += c;
+  }
+  out.push(cur);
+  return out;
+}
+
+// Yields one object per data row, keyed by the header row
+async function* readCsv(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let header;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const cells = parseCsvLine(line);
+    if (!header) { header = cells.map(h => h.trim().replace(/^\uFEFF/, '')); continue; }
+    const row = {};
+    header.forEach((h, i) => { row[h] = cells[i] !== undefined ? cells[i].trim() : ''; });
+    yield row;
+  }
+}
+
+module.exports = { parseCsvLine, readCsv };
@@ -0,0 +1,351 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const { stableId } = require('./sources/validate');
+
+// ─── SQLite Schema ────────────────────────────────────────────────
+// Shared connection for the API, sync jobs and every subsystem module.
+// PERMITS_DB points it elsewhere (tests use ':memory:').
+const db = new Database(process.env.PERMITS_DB || path.join(__dirname, 'permits.db'));
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS permits (
+    id TEXT PRIMARY KEY,
+    city TEXT,
+    address TEXT,
+    permit_type TEXT,
+    estimated_value REAL,
+    contractor_name TEXT,
+    permit_date TEXT,
+    status TEXT,
+    zip_code TEXT,
+    description TEXT,
+    fetched_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS risk_scores (
+    zip_code TEXT PRIMARY KEY,
+    poverty_rate REAL,
+    median_build_year INTEGER,
+    crime_score INTEGER,
+    fire_score INTEGER,
+    risk_level TEXT,
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS risk_area_scores (
+    geo_id TEXT PRIMARY KEY,
+    geo_type TEXT,
+    poverty_rate REAL,
+    median_build_year INTEGER,
+    population INTEGER,
+    crime_score INTEGER,
+    fire_score INTEGER,
+    risk_level TEXT,
+    factors TEXT,
+    model_version TEXT,
+    vintage TEXT,
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS risk_score_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    geo_type TEXT,
+    geo_id TEXT,
+    crime_score INTEGER,
+    fire_score INTEGER,
+    risk_level TEXT,
+    model_version TEXT,
+    vintage TEXT,
+    scored_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS census_estimates (
+    vintage INTEGER,
+    geo_type TEXT,
+    geo_id TEXT,
+    variable TEXT,
+    value REAL,
+    imported_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (vintage, geo_type, geo_id, variable)
+  );
+  CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    city TEXT,
+    address TEXT,
+    zip_code TEXT,
+    parcel TEXT,
+    latitude REAL,
+    longitude REAL,
+    permit_count INTEGER,
+    duplicate_permits INTEGER,
+    total_value REAL,
+    first_date TEXT,
+    last_date TEXT,
+    categories TEXT,
+    primary_category TEXT,
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS risk_incidents (
+    kind TEXT,
+    source TEXT,
+    geo_type TEXT,
+    geo_id TEXT,
+    month TEXT,
+    count INTEGER,
+    imported_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (kind, source, geo_type, geo_id, month)
+  );
+  CREATE TABLE IF NOT EXISTS sync_cursors (
+    city TEXT PRIMARY KEY,
+    last_date TEXT,
+    last_object_id INTEGER,
+    backfill_from TEXT,
+    backfilled_at TEXT,
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS fetch_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    city TEXT,
+    started_at TEXT DEFAULT (datetime('now')),
+    finished_at TEXT,
+    http_status INTEGER,
+    pages INTEGER DEFAULT 0,
+    rows_received INTEGER DEFAULT 0,
+    rows_inserted INTEGER DEFAULT 0,
+    rows_rejected INTEGER DEFAULT 0,
+    error TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_runs_city ON fetch_runs(city, started_at);
+  CREATE TABLE IF NOT EXISTS crm_sync (
+    connector TEXT NOT NULL,
+    permit_id TEXT NOT NULL,
+    remote_id TEXT,
+    payload_hash TEXT,
+    status TEXT,
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TEXT,
+    last_error TEXT,
+    synced_at TEXT,
+    PRIMARY KEY (connector, permit_id)
+  );
+  CREATE TABLE IF NOT EXISTS crm_sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    connector TEXT,
+    triggered_by TEXT,
+    started_at TEXT DEFAULT (datetime('now')),
+    finished_at TEXT,
+    matched INTEGER DEFAULT 0,
+    pushed INTEGER DEFAULT 0,
+    created INTEGER DEFAULT 0,
+    updated INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    error TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_crm_runs ON crm_sync_runs(connector, started_at);
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    prefix TEXT,
+    key_hash TEXT UNIQUE,
+    admin INTEGER DEFAULT 0,
+    rate_limit INTEGER,
+    monthly_quota INTEGER,
+    endpoints TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS api_usage (
+    key_id INTEGER,
+    day TEXT,
+    endpoint TEXT,
+    requests INTEGER DEFAULT 0,
+    errors INTEGER DEFAULT 0,
+    rejected INTEGER DEFAULT 0,
+    PRIMARY KEY (key_id, day, endpoint)
+  );
+  CREATE INDEX IF NOT EXISTS idx_api_usage_day ON api_usage(day);
+  CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT UNIQUE,
+    name TEXT,
+    role TEXT DEFAULT 'rep',
+    team_id INTEGER,
+    password_hash TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_login_at TEXT,
+    disabled_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_users_team ON users(team_id);
+  CREATE TABLE IF NOT EXISTS territories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    team_id INTEGER,
+    name TEXT,
+    cities TEXT,
+    zips TEXT,
+    lat REAL,
+    lng REAL,
+    radius_miles REAL
+  );
+  CREATE INDEX IF NOT EXISTS idx_territories_user ON territories(user_id);
+  CREATE INDEX IF NOT EXISTS idx_territories_team ON territories(team_id);
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS permit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    permit_id TEXT,
+    field TEXT,
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_permit ON permit_events(permit_id, changed_at);
+  CREATE INDEX IF NOT EXISTS idx_events_changed ON permit_events(changed_at);
+  CREATE TABLE IF NOT EXISTS quarantine (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    city TEXT,
+    record_hash TEXT,
+    reason TEXT,
+    raw TEXT,
+    first_seen_at TEXT DEFAULT (datetime('now')),
+    last_seen_at TEXT DEFAULT (datetime('now')),
+    seen_count INTEGER DEFAULT 1,
+    UNIQUE(city, record_hash)
+  );
+  CREATE TABLE IF NOT EXISTS saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    params TEXT NOT NULL,
+    webhook_url TEXT,
+    email TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_run_at TEXT,
+    last_match_count INTEGER,
+    last_error TEXT
+  );
+  CREATE TABLE IF NOT EXISTS saved_search_matches (
+    search_id INTEGER,
+    permit_id TEXT,
+    matched_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (search_id, permit_id)
+  );
+  CREATE TABLE IF NOT EXISTS saved_search_deliveries (
+    search_id INTEGER,
+    permit_id TEXT,
+    channel TEXT,
+    delivered_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (search_id, permit_id, channel)
+  );
+  CREATE TABLE IF NOT EXISTS geo_addresses (
+    city TEXT,
+    address_key TEXT,
+    latitude REAL,
+    longitude REAL,
+    PRIMARY KEY (city, address_key)
+  );
+  CREATE TABLE IF NOT EXISTS contractors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name_key TEXT UNIQUE,
+    name TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE TABLE IF NOT EXISTS permit_contractors (
+    permit_id TEXT,
+    contractor_id INTEGER,
+    position INTEGER,
+    PRIMARY KEY (permit_id, contractor_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_permit_contractors ON permit_contractors(contractor_id);
+  CREATE INDEX IF NOT EXISTS idx_city ON permits(city);
+  CREATE INDEX IF NOT EXISTS idx_date ON permits(permit_date);
+  CREATE INDEX IF NOT EXISTS idx_zip ON permits(zip_code);
+  CREATE INDEX IF NOT EXISTS idx_value ON permits(estimated_value);
+`);
+try { db.exec(`ALTER TABLE permits ADD COLUMN description TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN latitude REAL`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN longitude REAL`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN geo_source TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN category TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN tract_geoid TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN block_group_geoid TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN parcel TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN project_id TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN stage TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN expected_completion TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE permits ADD COLUMN active_until TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE projects ADD COLUMN active_until TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE saved_searches ADD COLUMN user_id INTEGER`); } catch(_) {}
+try { db.exec(`ALTER TABLE saved_searches ADD COLUMN key_id INTEGER`); } catch(_) {}
+try { db.exec(`ALTER TABLE risk_scores ADD COLUMN population INTEGER`); } catch(_) {}
+try { db.exec(`ALTER TABLE risk_scores ADD COLUMN factors TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE risk_scores ADD COLUMN model_version TEXT`); } catch(_) {}
+try { db.exec(`ALTER TABLE risk_scores ADD COLUMN vintage TEXT`); } catch(_) {}
+for (const table of ['risk_scores', 'risk_area_scores']) {
+  try { db.exec(`ALTER TABLE ${table} ADD COLUMN crime_trend INTEGER`); } catch(_) {}
+  try { db.exec(`ALTER TABLE ${table} ADD COLUMN fire_trend INTEGER`); } catch(_) {}
+  try { db.exec(`ALTER TABLE ${table} ADD COLUMN trend TEXT`); } catch(_) {}
+  try { db.exec(`ALTER TABLE ${table} ADD COLUMN trend_since TEXT`); } catch(_) {}
+}
+db.exec(`CREATE INDEX IF NOT EXISTS idx_latlng ON permits(latitude, longitude)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_category ON permits(category)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_tract ON permits(tract_geoid)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_project ON permits(project_id)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_active_until ON permits(active_until)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_risk_history ON risk_score_history(geo_type, geo_id, scored_at)`);
+
+// Full-text index over the searchable permit text (external content, keyed by the
+// permits rowid) kept in sync by triggers. INSERT OR REPLACE only fires the delete
+// trigger with recursive_triggers on. VACUUM can renumber rowids — rebuild after one.
+db.pragma('recursive_triggers = ON');
+const hadFts = db.prepare(`SELECT 1 FROM sqlite_master WHERE name = 'permits_fts'`).get();
+db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS permits_fts USING fts5(
+    description, address, permit_type, contractor_name,
+    content='permits', content_rowid='rowid', tokenize='porter unicode61'
+  );
+  CREATE TRIGGER IF NOT EXISTS permits_fts_ai AFTER INSERT ON permits BEGIN
+    INSERT INTO permits_fts(rowid, description, address, permit_type, contractor_name)
+    VALUES (new.rowid, new.description, new.address, new.permit_type, new.contractor_name);
+  END;
+  CREATE TRIGGER IF NOT EXISTS permits_fts_ad AFTER DELETE ON permits BEGIN
+    INSERT INTO permits_fts(permits_fts, rowid, description, address, permit_type, contractor_name)
+    VALUES ('delete', old.rowid, old.description, old.address, old.permit_type, old.contractor_name);
+  END;
+  CREATE TRIGGER IF NOT EXISTS permits_fts_au AFTER UPDATE OF description, address, permit_type, contractor_name ON permits BEGIN
+    INSERT INTO permits_fts(permits_fts, rowid, description, address, permit_type, contractor_name)
+    VALUES ('delete', old.rowid, old.description, old.address, old.permit_type, old.contractor_name);
+    INSERT INTO permits_fts(rowid, description, address, permit_type, contractor_name)
+    VALUES (new.rowid, new.description, new.address, new.permit_type, new.contractor_name);
+  END;
+`);
+if (!hadFts) db.exec(`INSERT INTO permits_fts(permits_fts) VALUES ('rebuild')`);
+
+// Records without a permit number used to get `${prefix}-${Math.random()}` IDs and were
+// duplicated on every refresh. Collapse those onto their stable hash ID (newest copy wins).
+function migrateRandomIds() {
+  const rows = db.prepare(`SELECT * FROM permits WHERE id GLOB '*-0.[0-9]*' ORDER BY fetched_at DESC`).all()
+    .filter(r => /-0\.\d{6,}$/.test(r.id));
+  if (!rows.length) return;
+  const keep = db.prepare(`
+    INSERT OR IGNORE INTO permits
+      (id, city, address, permit_type, estimated_value, contractor_name, permit_date, status, zip_code, description, fetched_at)
+    VALUES (@id, @city, @address, @permit_type, @estimated_value, @contractor_name, @permit_date, @status, @zip_code, @description, @fetched_at)
+  `);
+  const drop = db.prepare('DELETE FROM permits WHERE id = ?');
+  db.transaction(() => {
+    for (const r of rows) {
+      keep.run({ ...r, id: stableId(r.id.replace(/-0\.\d+$/, ''), r) });
+      drop.run(r.id);
+    }
+  })();
+  console.log(`[db] Moved ${rows.length} random-ID permits onto stable IDs`);
+}
+migrateRandomIds();
+
+module.exports = db;
@@ -0,0 +1,95 @@
+const db = require('../db');
+const { PERMIT_FIELDS, MAX_PAGE, cursorKeys, pageQuery, withDistance, withoutSortKeys, withRiskFactors } = require('../permit-query');
+const { createXlsx, formulaSafe } = require('./xlsx');
+
+// ─── Bulk Export ──────────────────────────────────────────────────
+// Streams every permit matching the /permits filters, in MAX_PAGE keyset pages,
+// as CSV, NDJSON, GeoJSON or XLSX. Each format is a writer with start(),
+// rows(rows) and end() returning the next bytes to send. EXPORT_COLUMNS are
+// the columns of schema EXPORT_SCHEMA; bump it whenever they change.
+
+const EXPORT_SCHEMA = '1';
+const EXPORT_COLUMNS = [
+  'id', 'city', 'address', 'zip_code', 'parcel', 'permit_type', 'category', 'stage', 'status', 'estimated_value', 'permit_date',
+  'expected_completion', 'active_until', 'contractor_name', 'contractor_id', 'project_id', 'description',
+  'latitude', 'longitude', 'geo_source', 'risk_level', 'crime_score', 'fire_score', 'risk_geography', 'risk_area', 'trend',
+  'lead_score', 'fetched_at',
+];
+// snippet needs q and is cut for display, so it isn't exportable
+const EXPORTABLE = PERMIT_FIELDS.filter(f => f !== 'snippet');
+
+const pick = (row, columns) => Object.fromEntries(columns.map(c => [c, row[c] ?? null]));
+
+function csvValue(v) {
+  if (v === null || v === undefined) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : typeof v === 'number' ? String(v) : formulaSafe(String(v));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function createCsv(columns) {
+  const line = (values) => values.map(csvValue).join(',') + '\r\n';
+  return {
+    start: () => line(columns),
+    rows: (rows) => rows.map(r => line(columns.map(c => r[c]))).join(''),
+    end: () => '',
+  };
+}
+
+function createNdjson(columns) {
+  return {
+    start: () => '',
+    rows: (rows) => rows.map(r => JSON.stringify(pick(r, columns)) + '\n').join(''),
+    end: () => '',
+  };
+}
+
+// Permits without coordinates are left out
+function createGeojson(columns) {
+  let first = true;
+  return {
+    start: () => '{"type":"FeatureCollection","features":[\n',
+    rows: (rows) => rows.filter(r => r.latitude != null && r.longitude != null).map((r) => {
+      const feature = JSON.stringify({ type: 'Feature', geometry: { type: 'Point', coordinates: [r.longitude, r.latitude] }, properties: pick(r, columns) });
+      const out = (first ? '' : ',\n') + feature;
+      first = false;
+      return out;
+    }).join(''),
+    end: () => '\n]}\n',
+  };
+}
+
+const FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', create: createCsv },
+  ndjson: { type: 'application/x-ndjson', create: createNdjson },
+  geojson: { type: 'application/geo+json', create: createGeojson },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', create: createXlsx },
+};
+
+// Writes the whole export to `res`, waiting out backpressure between pages.
+// Stops early if the client goes away.
+async function streamExport(res, { format, columns, profile, filters, order, query }) {
+  const writer = FORMATS[format].create(columns);
+  const send = (data) => (res.write(data) ? null : new Promise((resolve) => {
+    const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+    res.on('drain', done);
+    res.on('close', done);
+  }));
+  await send(writer.start());
+  let after = null, exported = 0;
+  while (!res.destroyed) {
+    const page = pageQuery({ profile, filters, order, after, limit: MAX_PAGE });
+    const rows = db.prepare(page.sql).all(...page.params);
+    const more = rows.length > MAX_PAGE;
+    if (more) rows.pop();
+    if (rows.length) {
+      after = cursorKeys(order, rows[rows.length - 1]);
+      await send(writer.rows(withDistance(withRiskFactors(withoutSortKeys(rows)), query)));
+      exported += rows.length;
+    }
+    if (!more) break;
+  }
+  if (!res.destroyed) res.end(writer.end());
+  return exported;
+}
+
+module.exports = { EXPORT_SCHEMA, EXPORT_COLUMNS, EXPORTABLE, FORMATS, streamExport };
@@ -0,0 +1,196 @@
+const zlib = require('zlib');
+
+// ─── Streaming XLSX ───────────────────────────────────────────────
+// A one-sheet .xlsx (inline strings, no styles) written front to back, so a
+// full export never sits in memory. An .xlsx is a zip of XML parts; the sheet
+// entry is deflated a batch of rows at a time, each batch sync-flushed so the
+// pieces join into one deflate stream, and its CRC and sizes follow it in a
+// data descriptor. No ZIP64, so an entry must stay under 4 GB.
+
+const MAX_ROWS = 1048576;    // Excel's sheet limit, header row included
+const MAX_CELL_CHARS = 32767;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  for (let k = 0; k < 8; k++) n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1;
+  return n >>> 0;
+});
+
+function crc32(buf, crc = 0) {
+  crc = ~crc;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+// MS-DOS date and time fields for zip headers
+function dosTime(d = new Date()) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+const FINAL_BLOCK = Buffer.from([0x03, 0x00]);  // empty fixed-Huffman block with BFINAL set
+const UTF8_NAMES = 0x0800, DATA_DESCRIPTOR = 0x0008, DEFLATE = 8;
+
+// Zip writer whose methods return the bytes to send next
+function createZip() {
+  const entries = [];
+  const stamp = dosTime();
+  let offset = 0, open = null;
+  const out = (buf) => { offset += buf.length; return buf; };
+
+  function localHeader(entry) {
+    const name = Buffer.from(entry.name);
+    const h = Buffer.alloc(30);
+    h.writeUInt32LE(0x04034b50, 0);
+    h.writeUInt16LE(20, 4);
+    h.writeUInt16LE(entry.flags, 6);
+    h.writeUInt16LE(DEFLATE, 8);
+    h.writeUInt16LE(stamp.time, 10);
+    h.writeUInt16LE(stamp.date, 12);
+    h.writeUInt32LE(entry.crc, 14);
+    h.writeUInt32LE(entry.compressed, 18);
+    h.writeUInt32LE(entry.size, 22);
+    h.writeUInt16LE(name.length, 26);
+    return Buffer.concat([h, name]);
+  }
+
+  // A whole entry whose content is known up front
+  function file(name, content) {
+    const data = Buffer.from(content);
+    const body = zlib.deflateRawSync(data);
+    const entry = { name, flags: UTF8_NAMES, crc: crc32(data), size: data.length, compressed: body.length, offset };
+    entries.push(entry);
+    return out(Buffer.concat([localHeader(entry), body]));
+  }
+
+  // Starts an entry written piece by piece with write(), finished by close()
+  function begin(name) {
+    open = { name, flags: UTF8_NAMES | DATA_DESCRIPTOR, crc: 0, size: 0, compressed: 0, offset };
+    entries.push(open);
+    return out(localHeader(open));
+  }
+
+  function write(content) {
+    const data = Buffer.from(content);
+    const body = zlib.deflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    open.crc = crc32(data, open.crc);
+    open.size += data.length;
+    open.compressed += body.length;
+    return out(body);
+  }
+
+  function close() {
+    open.compressed += FINAL_BLOCK.length;
+    const d = Buffer.alloc(16);
+    d.writeUInt32LE(0x08074b50, 0);
+    d.writeUInt32LE(open.crc, 4);
+    d.writeUInt32LE(open.compressed, 8);
+    d.writeUInt32LE(open.size, 12);
+    open = null;
+    return out(Buffer.concat([FINAL_BLOCK, d]));
+  }
+
+  // Central directory + end record
+  function finish() {
+    const start = offset;
+    const dir = entries.map((e) => {
+      const name = Buffer.from(e.name);
+      const h = Buffer.alloc(46);
+      h.writeUInt32LE(0x02014b50, 0);
+      h.writeUInt16LE(20, 4);
+      h.writeUInt16LE(20, 6);
+      h.writeUInt16LE(e.flags, 8);
+      h.writeUInt16LE(DEFLATE, 10);
+      h.writeUInt16LE(stamp.time, 12);
+      h.writeUInt16LE(stamp.date, 14);
+      h.writeUInt32LE(e.crc, 16);
+      h.writeUInt32LE(e.compressed, 20);
+      h.writeUInt32LE(e.size, 24);
+      h.writeUInt16LE(name.length, 28);
+      h.writeUInt32LE(e.offset, 42);
+      return Buffer.concat([h, name]);
+    });
+    const size = dir.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(size, 12);
+    end.writeUInt32LE(start, 16);
+    return out(Buffer.concat([...dir, end]));
+  }
+
+  return { file, begin, write, close, finish };
+}
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`;
+
+const workbook = (sheet) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${xmlText(sheet)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+// Escapes text for XML, dropping the control characters XML can't carry
+const xmlText = (s) => String(s).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Text a spreadsheet would read as a formula ("=HYPERLINK(…)", "+1", "@SUM")
+// gets a leading ' so it opens as plain text. Numbers are left alone.
+const formulaSafe = (s) => /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+
+// 0 → A, 25 → Z, 26 → AA
+function columnName(i) {
+  let name = '';
+  for (i++; i > 0; i = Math.floor((i - 1) / 26)) name = String.fromCharCode(65 + (i - 1) % 26) + name;
+  return name;
+}
+
+function cell(ref, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  const text = typeof value === 'object' ? JSON.stringify(value) : formulaSafe(String(value));
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(text.slice(0, MAX_CELL_CHARS))}</t></is></c>`;
+}
+
+// Same start / rows / end shape as the other export formats, as Buffers
+function createXlsx(columns, { sheet = 'Permits' } = {}) {
+  const zip = createZip();
+  const refs = columns.map((_, i) => columnName(i));
+  let rowNum = 0;
+  const row = (values) => {
+    rowNum++;
+    return `<row r="${rowNum}">${values.map((v, i) => cell(refs[i] + rowNum, v)).join('')}</row>`;
+  };
+  return {
+    start: () => Buffer.concat([
+      zip.file('[Content_Types].xml', CONTENT_TYPES),
+      zip.file('_rels/.rels', ROOT_RELS),
+      zip.file('xl/workbook.xml', workbook(sheet)),
+      zip.file('xl/_rels/workbook.xml.rels', WORKBOOK_RELS),
+      zip.begin('xl/worksheets/sheet1.xml'),
+      zip.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' + row(columns)),
+    ]),
+    rows: (rows) => zip.write(rows.map(r => row(columns.map(c => r[c]))).join('')),
+    end: () => Buffer.concat([zip.write('</sheetData></worksheet>'), zip.close(), zip.finish()]),
+  };
+}
+
+module.exports = { MAX_ROWS, formulaSafe, createXlsx };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// One square tract around downtown Austin
+const tracts = path.join(os.tmpdir(), `permit-bot-tracts-${process.pid}.geojson`);
+fs.writeFileSync(tracts, JSON.stringify({
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature', properties: { GEOID: '48453001100' },
+    geometry: { type: 'Polygon', coordinates: [[[-97.76, 30.25], [-97.72, 30.25], [-97.72, 30.29], [-97.76, 30.29], [-97.76, 30.25]]] },
+  }],
+}));
+process.env.CENSUS_GEOJSON = tracts;
+process.env.PERMITS_DB = ':memory:';
+test.after(() => fs.unlinkSync(tracts));
+
+const geo = require('.');
+
+test('locate keeps source coordinates and places them in a Census area', () => {
+  const rec = geo.locate({ city: 'austin', address: '1200 N Lamar Blvd', zip_code: '78703', latitude: 30.27, longitude: -97.74 });
+  assert.strictEqual(rec.geo_source, 'source');
+  assert.deepStrictEqual([rec.latitude, rec.longitude], [30.27, -97.74]);
+  assert.strictEqual(rec.tract_geoid, '48453001100');
+  assert.strictEqual(rec.block_group_geoid, null);
+});
+
+test('locate sets the area fields to null for source coordinates outside every area', () => {
+  const rec = geo.locate({ city: 'philly', latitude: 39.95, longitude: -75.16 });
+  assert.strictEqual(rec.geo_source, 'source');
+  assert.ok('tract_geoid' in rec && 'block_group_geoid' in rec);
+  assert.strictEqual(rec.tract_geoid, null);
+});
+
+test('locate falls back to the ZIP centroid without an area', () => {
+  const rec = geo.locate({ city: 'austin', address: 'nowhere', zip_code: '78701', latitude: 0, longitude: 0 });
+  assert.strictEqual(rec.geo_source, 'zip');
+  assert.strictEqual(rec.tract_geoid, null);
+});
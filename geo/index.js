@@ -0,0 +1,235 @@
+const fs = require('fs');
+const db = require('../db');
+const { readCsv } = require('../csv');
+
+// ─── Offline Geocoding ────────────────────────────────────────────
+// Permits keep the feed's own coordinates when it has them (geo_source 'source').
+// Otherwise, in order:
+//   'address'  exact match in geo_addresses — a local address-point dataset
+//              imported per city (OpenAddresses CSV or lat/lng/address CSV)
+//   'zip'      the ZIP's Census ZCTA centroid (us-zips package)
+// Permits with a real point ('source' or 'address') are also placed in their
+// Census tract / block group when CENSUS_GEOJSON points at a boundary file.
+// Nothing here calls out to the network.
+
+const EARTH_MILES = 3958.8;
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const rad = (d) => d * Math.PI / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Exact radius check for /permits (after a bounding-box prefilter on the lat/lng index)
+db.function('distance_miles', { deterministic: true }, (lat1, lng1, lat2, lng2) =>
+  lat1 == null || lat2 == null ? null : distanceMiles(lat1, lng1, lat2, lng2));
+
+// 0,0 and out-of-range values are how feeds spell "no location"
+function validCoords(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && !(lat === 0 && lng === 0) &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+const SUFFIXES = {
+  STREET: 'ST', AVENUE: 'AVE', ROAD: 'RD', DRIVE: 'DR', BOULEVARD: 'BLVD', LANE: 'LN',
+  COURT: 'CT', PLACE: 'PL', PARKWAY: 'PKWY', HIGHWAY: 'HWY', CIRCLE: 'CIR', TERRACE: 'TER',
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+};
+
+// "1200 North Lamar Boulevard, Ste 4" → "1200 N LAMAR BLVD"
+function addressKey(address) {
+  return String(address || '').toUpperCase()
+    .replace(/\s+(#|APT|UNIT|STE|SUITE|BLDG)\b.*$/, '')
+    .replace(/[.,]/g, ' ')
+    .split(/\s+/).filter(Boolean)
+    .map(w => SUFFIXES[w] || w)
+    .join(' ');
+}
+
+let zipCentroids;
+function zipCentroid(zip) {
+  if (!zipCentroids) zipCentroids = require('us-zips');
+  const c = zipCentroids[zip];
+  return c ? { latitude: c.latitude, longitude: c.longitude } : null;
+}
+
+// ZIP shapes for the map overlay: polygons from a local ZCTA boundary GeoJSON
+// when ZCTA_GEOJSON points at one, else the ZIP's centroid as a point.
+let zctaShapes;
+function zctaShape(zip) {
+  if (zctaShapes === undefined) {
+    zctaShapes = null;
+    if (process.env.ZCTA_GEOJSON) {
+      try {
+        const { features } = JSON.parse(fs.readFileSync(process.env.ZCTA_GEOJSON, 'utf8'));
+        zctaShapes = new Map();
+        for (const f of features) {
+          const p = f.properties || {};
+          const z = p.ZCTA5CE20 || p.ZCTA5CE10 || p.GEOID20 || p.GEOID10 || p.zip_code || p.zip;
+          if (z && f.geometry) zctaShapes.set(String(z), f.geometry);
+        }
+      } catch (err) {
+        console.error('[geo] Could not load ZCTA_GEOJSON:', err.message);
+      }
+    }
+  }
+  return zctaShapes && zctaShapes.get(zip);
+}
+
+function zipArea(zip) {
+  const shape = zctaShape(zip);
+  if (shape) return shape;
+  const c = zipCentroid(zip);
+  return c ? { type: 'Point', coordinates: [c.longitude, c.latitude] } : null;
+}
+
+// ─── Census Tracts / Block Groups ─────────────────────────────────
+// Point-in-polygon against a local TIGER tract or block-group boundary GeoJSON
+// (features with an 11- or 12-digit GEOID), bucketed on a coarse grid by bbox.
+const GRID_DEGREES = 0.05;
+const cellOf = (lat, lng) => `${Math.floor(lat / GRID_DEGREES)}:${Math.floor(lng / GRID_DEGREES)}`;
+
+function polygonsOf(geometry) {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function inRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Outer ring in, no hole containing the point
+const inPolygons = (lat, lng, polygons) =>
+  polygons.some(([outer, ...holes]) => inRing(lat, lng, outer) && !holes.some(h => inRing(lat, lng, h)));
+
+let censusGrid;
+function loadCensusAreas() {
+  censusGrid = null;
+  if (!process.env.CENSUS_GEOJSON) return;
+  try {
+    const { features } = JSON.parse(fs.readFileSync(process.env.CENSUS_GEOJSON, 'utf8'));
+    censusGrid = new Map();
+    for (const f of features) {
+      const p = f.properties || {};
+      const geoid = String(p.GEOID || p.GEOID20 || p.GEOID10 || '');
+      if (!/^\d{11,12}$/.test(geoid) || !f.geometry) continue;
+      const polygons = polygonsOf(f.geometry);
+      const points = polygons.flatMap(poly => poly[0]);
+      if (!points.length) continue;
+      const lngs = points.map(pt => pt[0]), lats = points.map(pt => pt[1]);
+      const area = { geoid, polygons };
+      for (let y = Math.floor(Math.min(...lats) / GRID_DEGREES); y <= Math.floor(Math.max(...lats) / GRID_DEGREES); y++) {
+        for (let x = Math.floor(Math.min(...lngs) / GRID_DEGREES); x <= Math.floor(Math.max(...lngs) / GRID_DEGREES); x++) {
+          const key = `${y}:${x}`;
+          if (!censusGrid.has(key)) censusGrid.set(key, []);
+          censusGrid.get(key).push(area);
+        }
+      }
+    }
+    console.log(`[geo] ${features.length} Census areas loaded from CENSUS_GEOJSON`);
+  } catch (err) {
+    console.error('[geo] Could not load CENSUS_GEOJSON:', err.message);
+  }
+}
+
+// { tract_geoid, block_group_geoid } containing the point; block_group_geoid is
+// null with a tract-level boundary file. null when outside every area.
+function censusArea(lat, lng) {
+  if (censusGrid === undefined) loadCensusAreas();
+  if (!censusGrid || !validCoords(lat, lng)) return null;
+  const hit = (censusGrid.get(cellOf(lat, lng)) || []).find(a => inPolygons(lat, lng, a.polygons));
+  if (!hit) return null;
+  return { tract_geoid: hit.geoid.slice(0, 11), block_group_geoid: hit.geoid.length === 12 ? hit.geoid : null };
+}
+
+const hasCensusAreas = () => { if (censusGrid === undefined) loadCensusAreas(); return !!censusGrid; };
+
+// Sets rec.tract_geoid / rec.block_group_geoid. A ZIP centroid says nothing about
+// the block, so only permits with a real point get an area.
+function placeInArea(rec) {
+  const area = rec.geo_source === 'source' || rec.geo_source === 'address' ? censusArea(rec.latitude, rec.longitude) : null;
+  rec.tract_geoid = area ? area.tract_geoid : null;
+  rec.block_group_geoid = area ? area.block_group_geoid : null;
+  return rec;
+}
+
+const findAddress = db.prepare('SELECT latitude, longitude FROM geo_addresses WHERE city = ? AND address_key = ?');
+
+// Fills rec.latitude / rec.longitude / rec.geo_source (and the Census area) in place
+function locate(rec) {
+  if (validCoords(rec.latitude, rec.longitude)) { rec.geo_source = 'source'; return placeInArea(rec); }
+  const hit = rec.address && findAddress.get(rec.city, addressKey(rec.address));
+  const point = hit || (rec.zip_code && zipCentroid(rec.zip_code));
+  rec.latitude = point ? point.latitude : null;
+  rec.longitude = point ? point.longitude : null;
+  rec.geo_source = point ? (hit ? 'address' : 'zip') : null;
+  return placeInArea(rec);
+}
+
+// Re-geocodes stored permits that have no coordinates or only a ZIP centroid,
+// e.g. after importing an address dataset.
+function geocodeStored() {
+  const rows = db.prepare(`SELECT id, city, address, zip_code, geo_source AS prev FROM permits WHERE geo_source IS NULL OR geo_source = 'zip'`).all();
+  const update = db.prepare(`
+    UPDATE permits SET latitude = ?, longitude = ?, geo_source = ?, tract_geoid = ?, block_group_geoid = ? WHERE id = ?
+  `);
+  let n = 0;
+  db.transaction(() => {
+    for (const r of rows) {
+      locate(r);
+      if (r.geo_source && r.geo_source !== r.prev) {
+        update.run(r.latitude, r.longitude, r.geo_source, r.tract_geoid, r.block_group_geoid, r.id);
+        n++;
+      }
+    }
+  })();
+  return n;
+}
+
+// Places located permits that have no Census area yet, e.g. after CENSUS_GEOJSON
+// is first set. Returns how many were placed.
+function placeStored() {
+  if (!hasCensusAreas()) return 0;
+  const rows = db.prepare(`
+    SELECT id, latitude, longitude, geo_source FROM permits
+    WHERE tract_geoid IS NULL AND geo_source IN ('source', 'address')
+  `).all();
+  const update = db.prepare('UPDATE permits SET tract_geoid = ?, block_group_geoid = ? WHERE id = ?');
+  let n = 0;
+  db.transaction(() => {
+    for (const r of rows) {
+      if (placeInArea(r).tract_geoid) { update.run(r.tract_geoid, r.block_group_geoid, r.id); n++; }
+    }
+  })();
+  return n;
+}
+
+// Imports address points for one city key. Accepts OpenAddresses columns
+// (LON, LAT, NUMBER, STREET) or plain (address, latitude, longitude).
+async function importAddresses(file, city) {
+  const insert = db.prepare('INSERT OR REPLACE INTO geo_addresses (city, address_key, latitude, longitude) VALUES (?, ?, ?, ?)');
+  const flush = db.transaction((batch) => { for (const b of batch) insert.run(...b); });
+  let batch = [], n = 0, skipped = 0;
+  for await (const row of readCsv(file)) {
+    const address = row.address || row.ADDRESS || [row.NUMBER, row.STREET].filter(Boolean).join(' ');
+    const lat = parseFloat(row.latitude ?? row.LAT);
+    const lng = parseFloat(row.longitude ?? row.LON);
+    if (!address || !validCoords(lat, lng)) { skipped++; continue; }
+    batch.push([city, addressKey(address), lat, lng]);
+    if (batch.length === 5000) { flush(batch); n += batch.length; batch = []; }
+  }
+  flush(batch);
+  n += batch.length;
+  return { imported: n, skipped };
+}
+
+module.exports = {
+  distanceMiles, validCoords, addressKey, zipArea, censusArea, locate, geocodeStored, placeStored, importAddresses,
+};
@@ -1,888 +1,118 @@
 const express = require('express');
-const Database = require('better-sqlite3');
-const axios = require('axios');
 const cron = require('node-cron');
 const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const { loadSources } = require('./sources');
+const { fetchSource, lapseStored } = require('./sources/sync');
+const {
+  PERMIT_COUNT, PERMIT_FIELDS, RISK_AREA_JOIN, SORT_FIELDS, decodeCursor, encodeCursor, filterError, listOf, pageLimit, pageQuery, permitFilters,
+  permitOrder, withDistance, withFields, withoutSortKeys, withRiskFactors, withSnippets,
+} = require('./permit-query');
+const leads = require('./leads');
+const alerts = require('./alerts');
+const geo = require('./geo');
+const contractors = require('./contractors');
+const projects = require('./projects');
+const permitExport = require('./export');
+const crm = require('./crm');
+const access = require('./access');
+const accounts = require('./accounts');
+const { MAX_ROWS: XLSX_MAX_ROWS } = require('./export/xlsx');
+const risk = require('./risk');
+const { CATEGORIES, buildClassifier } = require('./sources/classify');
+const { STAGES, buildStager, expectedCompletion, lapsed, activeUntil } = require('./sources/lifecycle');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
 app.use(express.static(path.join(__dirname, 'public')));
+// The map libraries are served from node_modules, so the UI loads nothing from a CDN
+app.use('/vendor/leaflet', express.static(path.join(path.dirname(require.resolve('leaflet/package.json')), 'dist')));
+app.use('/vendor/markercluster', express.static(path.join(path.dirname(require.resolve('leaflet.markercluster/package.json')), 'dist')));
+app.use(express.json());
+app.use(accounts.session);
+app.use(access.requireKey);
 
-const db = new Database(path.join(__dirname, 'permits.db'));
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS permits (
-    id TEXT PRIMARY KEY,
-    city TEXT,
-    address TEXT,
-    permit_type TEXT,
-    estimated_value REAL,
-    contractor_name TEXT,
-    permit_date TEXT,
-    status TEXT,
-    zip_code TEXT,
-    description TEXT,
-    fetched_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE TABLE IF NOT EXISTS risk_scores (
-    zip_code TEXT PRIMARY KEY,
-    poverty_rate REAL,
-    median_build_year INTEGER,
-    crime_score INTEGER,
-    fire_score INTEGER,
-    risk_level TEXT,
-    updated_at TEXT DEFAULT (datetime('now'))
-  );
-  CREATE INDEX IF NOT EXISTS idx_city ON permits(city);
-  CREATE INDEX IF NOT EXISTS idx_date ON permits(permit_date);
-  CREATE INDEX IF NOT EXISTS idx_zip ON permits(zip_code);
-  CREATE INDEX IF NOT EXISTS idx_value ON permits(estimated_value);
-`);
-try { db.exec(`ALTER TABLE permits ADD COLUMN description TEXT`); } catch(_) {}
-
-// ─── Risk Scoring via US Census ACS ──────────────────────────────
-// Crime proxy: poverty rate per ZIP (B17001)
-// Fire proxy:  median building age per ZIP (B25037)
-async function fetchRiskScores() {
-  console.log('[risk] Fetching risk scores from Census ACS...');
-  const zips = db.prepare(
-    `SELECT DISTINCT zip_code FROM permits WHERE zip_code != '' AND length(zip_code) = 5`
-  ).all().map(r => r.zip_code);
-  if (!zips.length) return;
-
-  const BATCH = 50;
-  const currentYear = new Date().getFullYear();
-  const insert = db.prepare(`
-    INSERT OR REPLACE INTO risk_scores
-      (zip_code, poverty_rate, median_build_year, crime_score, fire_score, risk_level, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
-  `);
-
-  for (let i = 0; i < zips.length; i += BATCH) {
-    const batch = zips.slice(i, i + BATCH).join(',');
-    try {
-      const res = await axios.get('https://api.census.gov/data/2022/acs/acs5', {
-        params: { get: 'B17001_002E,B17001_001E,B25037_001E', for: `zip code tabulation area:${batch}` },
-        timeout: 15000,
-      });
-      db.transaction((rows) => {
-        for (const [poor, total, buildYear, zip] of rows) {
-          const povertyRate = total > 0 ? (parseFloat(poor) / parseFloat(total)) * 100 : null;
-          const medBuildYear = parseInt(buildYear) || null;
-          if (!povertyRate && !medBuildYear) continue;
-          const crimeScore = povertyRate != null
-            ? Math.min(10, Math.max(1, Math.round((povertyRate / 25) * 9) + 1)) : 5;
-          const buildingAge = medBuildYear ? currentYear - medBuildYear : 50;
-          const fireScore = Math.min(10, Math.max(1, Math.round((buildingAge / 100) * 9) + 1));
-          const combined = (crimeScore + fireScore) / 2;
-          const riskLevel = combined >= 7 ? 'HIGH' : combined >= 4.5 ? 'MEDIUM' : 'LOW';
-          insert.run(zip, povertyRate, medBuildYear, crimeScore, fireScore, riskLevel);
-        }
-      })(res.data.slice(1));
-      console.log(`[risk] Batch ${Math.floor(i / BATCH) + 1} scored`);
-      await new Promise(r => setTimeout(r, 200));
-    } catch (err) {
-      console.error('[risk] Census error:', err.message);
-    }
-  }
-  console.log(`[risk] Done — ${db.prepare('SELECT COUNT(*) as n FROM risk_scores').get().n} ZIPs scored`);
-}
 
 // ─── City Data Sources ────────────────────────────────────────────
 // Focus: South of I-70 corridor + specified states
-// Socrata open data APIs (free, no auth required)
-// To add a city: add entry to SOCRATA_CITIES with url + normalize function
-// For ArcGIS cities (Houston, Phoenix, Atlanta etc.) see README for pattern
-const SOCRATA_CITIES = {
-  austin: {
-    url: 'https://data.austintexas.gov/resource/3syk-w9eu.json',
-    normalize: (r) => ({
-      id: `austin-${r.permit_num || Math.random()}`,
-      city: 'austin',
-      address: r.original_address1 || '',
-      permit_type: r.permit_type_desc || r.work_class || '',
-      estimated_value: parseFloat(r.job_value) || 0,
-      contractor_name: r.contractor_company_name || '',
-      permit_date: r.issue_date ? r.issue_date.split('T')[0] : '',
-      status: r.status_current || 'issued',
-      zip_code: r.zip || '',
-      description: r.description || '',
-    }),
-  },
-  san_francisco: {
-    // SF is ~37.7°N — south of the I-70 corridor latitude
-    url: 'https://data.sfgov.org/resource/i98e-djp9.json',
-    normalize: (r) => ({
-      id: `sf-${r.permit_number || Math.random()}`,
-      city: 'san_francisco',
-      address: r.street_address || `${r.house_num || ''} ${r.street_name || ''}`.trim(),
-      permit_type: r.permit_type_definition || r.permit_type || '',
-      estimated_value: parseFloat(r.revised_cost) || parseFloat(r.estimated_cost) || 0,
-      contractor_name: r.contractor || '',
-      permit_date: r.issued_date ? r.issued_date.split('T')[0] : '',
-      status: r.status || 'issued',
-      zip_code: r.zipcode || '',
-      description: r.description || '',
-    }),
-  },
-  kansas_city: {
-    // data.kcmo.org — CPD Permits dataset, verified 2025
-    url: 'https://data.kcmo.org/resource/ntw8-aacc.json',
-    order: 'issueddate DESC',
-    normalize: (r) => ({
-      id: `kc-${r.permitnum || Math.random()}`,
-      city: 'kansas_city',
-      address: r.originaladdress1 || '',
-      permit_type: r.permittypedesc || r.permittype || '',
-      estimated_value: parseFloat(r.estprojectcost) || 0,
-      contractor_name: r.contractorcompanyname || '',
-      permit_date: r.issueddate ? r.issueddate.split('T')[0] : '',
-      status: r.statuscurrent || 'issued',
-      zip_code: r.originalzip || '',
-      description: r.description || '',
-    }),
-  },
-  san_diego: {
-    // San Diego County open data — publicly accessible Socrata portal
-    url: 'https://internal-sandiegocounty.data.socrata.com/resource/dyzh-7eat.json',
-    order: 'open_date DESC',
-    normalize: (r) => ({
-      id: `sandiego-${r.record_id || Math.random()}`,
-      city: 'san_diego',
-      address: r.street_address || '',
-      permit_type: r.record_category || r.record_type || '',
-      estimated_value: 0,
-      contractor_name: r.contractor_name || '',
-      permit_date: r.open_date ? r.open_date.split('T')[0] : '',
-      status: r.record_status || 'issued',
-      zip_code: r.zip_code || '',
-      description: (r.use || '').substring(0, 500),
-    }),
-  },
-  new_orleans: {
-    // data.nola.gov — verified current (2026 data)
-    url: 'https://data.nola.gov/resource/rcm3-fn58.json',
-    order: 'issuedate DESC',
-    normalize: (r) => ({
-      id: `nola-${r.numstring || Math.random()}`,
-      city: 'new_orleans',
-      address: r.address || '',
-      permit_type: r.type || '',
-      estimated_value: parseFloat(r.constrval) || 0,
-      contractor_name: r.contractors || '',
-      permit_date: r.issuedate ? r.issuedate.split('T')[0] : '',
-      status: r.currentstatus || 'issued',
-      zip_code: '',
-      description: r.description || '',
-    }),
-  },
-  baton_rouge: {
-    // data.brla.gov — EBR Building Permits, verified current (2026 data)
-    url: 'https://data.brla.gov/resource/7fq7-8j7r.json',
-    order: 'issueddate DESC',
-    normalize: (r) => ({
-      id: `br-${r.permitnumber || Math.random()}`,
-      city: 'baton_rouge',
-      address: r.streetaddress || '',
-      permit_type: r.permittype || '',
-      estimated_value: parseFloat(r.projectvalue) || 0,
-      contractor_name: r.contractorname || '',
-      permit_date: r.issueddate ? r.issueddate.split('T')[0] : '',
-      status: 'issued',
-      zip_code: r.zip || '',
-      description: r.projectdescription || '',
-    }),
-  },
-};
-
-// ─── ArcGIS City Data Sources ─────────────────────────────────────
-// Nearly all southern/southwest US cities use ArcGIS Hub instead of Socrata.
-//
-// To activate a city:
-//   1. Go to the portal URL in the comment
-//   2. Search "building permits", open the dataset
-//   3. Click "I want to use this" → copy the FeatureServer URL
-//      e.g. https://services1.arcgis.com/[ORG]/arcgis/rest/services/[NAME]/FeatureServer
-//   4. Test in browser: [url]/0/query?where=1=1&outFields=*&resultRecordCount=1&f=json
-//   5. Replace [VERIFY-FEATURESERVER-URL] below and fill in the real field names
-//   6. Uncomment the block and restart
-//
-// ArcGIS date fields are Unix timestamps (ms):
-//   r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : ''
-const ARCGIS_CITIES = {
-
-  // ── Texas ──────────────────────────────────────────────────────
-  // houston: {
-  //   // Portal: https://cohgis-mycity.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `houston-${r.PermitNumber || Math.random()}`,
-  //     city: 'houston',
-  //     address: r.SiteAddress || r.Address || '',
-  //     permit_type: r.PermitType || r.WorkType || '',
-  //     estimated_value: parseFloat(r.DeclaredValuation || r.ProjectCost) || 0,
-  //     contractor_name: r.ContractorName || r.Contractor || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.ZipCode || r.Zip || '',
-  //     description: r.ProjectDescription || r.Description || '',
-  //   }),
-  // },
-  // fort_worth: {
-  //   // Portal: https://data.fortworthtexas.gov → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `fortworth-${r.PermitNum || r.PermitNumber || Math.random()}`,
-  //     city: 'fort_worth',
-  //     address: r.Address || r.SiteAddress || '',
-  //     permit_type: r.PermitType || r.PermitDesc || '',
-  //     estimated_value: parseFloat(r.JobValue || r.EstimatedCost) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || r.ZipCode || '',
-  //     description: r.Description || r.WorkDesc || '',
-  //   }),
-  // },
-  // san_antonio: {
-  //   // Portal: https://sanantonio.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `satx-${r.PermitNum || Math.random()}`,
-  //     city: 'san_antonio',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue || r.EstCost) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // el_paso: {
-  //   // Portal: https://opendata.elpasotexas.gov → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `elpaso-${r.PermitNum || Math.random()}`,
-  //     city: 'el_paso',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // mcallen: {
-  //   // Portal: https://mcallen-tx.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `mcallen-${r.PermitNum || Math.random()}`,
-  //     city: 'mcallen',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Florida ────────────────────────────────────────────────────
-  // miami: {
-  //   // Portal: https://gis-mdc.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `miami-${r.PermitNum || Math.random()}`,
-  //     city: 'miami',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || r.WorkType || '',
-  //     estimated_value: parseFloat(r.JobValue || r.EstCost) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // fort_lauderdale: {
-  //   // Portal: https://gis-broward-county-fl-broward.hub.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `ftlaud-${r.PermitNum || Math.random()}`,
-  //     city: 'fort_lauderdale',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // west_palm_beach: {
-  //   // Portal: https://pbcgis-pbcgov.hub.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `wpb-${r.PermitNum || Math.random()}`,
-  //     city: 'west_palm_beach',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // tampa: {
-  //   // Portal: https://city-tampa.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `tampa-${r.PermitNum || Math.random()}`,
-  //     city: 'tampa',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || r.PermitDesc || '',
-  //     estimated_value: parseFloat(r.JobValue || r.EstCost) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // st_petersburg: {
-  //   // Portal: https://stpete.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `stpete-${r.PermitNum || Math.random()}`,
-  //     city: 'st_petersburg',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // jacksonville: {
-  //   // Portal: https://coj-cogis.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `jax-${r.PermitNum || Math.random()}`,
-  //     city: 'jacksonville',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Georgia ────────────────────────────────────────────────────
-  // atlanta: {
-  //   // Portal: https://atlantaga.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'ISSUE_DATE DESC',
-  //   normalize: (r) => ({
-  //     id: `atl-${r.PERMIT_NUM || r.PermitNumber || Math.random()}`,
-  //     city: 'atlanta',
-  //     address: r.ADDRESS || r.SITE_ADDRESS || '',
-  //     permit_type: r.PERMIT_TYPE || r.WORK_TYPE || '',
-  //     estimated_value: parseFloat(r.COST || r.JOB_VALUE) || 0,
-  //     contractor_name: r.CONTRACTOR || r.CONTRACTOR_NAME || '',
-  //     permit_date: r.ISSUE_DATE ? new Date(r.ISSUE_DATE).toISOString().split('T')[0] : '',
-  //     status: r.STATUS || 'issued',
-  //     zip_code: r.ZIP || '',
-  //     description: r.DESCRIPTION || r.WORK_DESC || '',
-  //   }),
-  // },
-  // savannah: {
-  //   // Portal: https://cosavannahga.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `savannah-${r.PermitNum || Math.random()}`,
-  //     city: 'savannah',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Alabama ────────────────────────────────────────────────────
-  // huntsville: {
-  //   // Portal: https://huntsvilleal.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `huntsville-${r.PermitNum || Math.random()}`,
-  //     city: 'huntsville',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // birmingham: {
-  //   // Portal: https://birmingham-al.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `birmingham-${r.PermitNum || Math.random()}`,
-  //     city: 'birmingham',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Tennessee ──────────────────────────────────────────────────
-  // nashville: {
-  //   // Portal: https://data.nashville.gov → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'date_issued DESC',
-  //   normalize: (r) => ({
-  //     id: `nashville-${r.permit_number || Math.random()}`,
-  //     city: 'nashville',
-  //     address: r.mapped_location_address || r.address || '',
-  //     permit_type: r.permit_type || r.permit_subtype || '',
-  //     estimated_value: parseFloat(r.const_cost) || 0,
-  //     contractor_name: r.contractor_name || '',
-  //     permit_date: r.date_issued ? new Date(r.date_issued).toISOString().split('T')[0] : '',
-  //     status: r.status || 'issued',
-  //     zip_code: r.zip || '',
-  //     description: r.description || '',
-  //   }),
-  // },
-  // memphis: {
-  //   // Portal: https://data.memphistn.gov → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `memphis-${r.PermitNum || Math.random()}`,
-  //     city: 'memphis',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // chattanooga: {
-  //   // Portal: https://data.chattanooga.gov → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `chat-${r.PermitNum || Math.random()}`,
-  //     city: 'chattanooga',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── North Carolina ─────────────────────────────────────────────
-  // charlotte: {
-  //   // Portal: https://data.charlottenc.gov → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'ISSUED_DATE DESC',
-  //   normalize: (r) => ({
-  //     id: `charlotte-${r.PERMIT_NUM || Math.random()}`,
-  //     city: 'charlotte',
-  //     address: r.SITE_ADDRESS || '',
-  //     permit_type: r.PERMIT_TYPE || r.WORK_TYPE || '',
-  //     estimated_value: parseFloat(r.COST) || 0,
-  //     contractor_name: r.CONTRACTOR || '',
-  //     permit_date: r.ISSUED_DATE ? new Date(r.ISSUED_DATE).toISOString().split('T')[0] : '',
-  //     status: r.STATUS || 'issued',
-  //     zip_code: r.ZIP || '',
-  //     description: r.DESCRIPTION || '',
-  //   }),
-  // },
-  // raleigh: {
-  //   // Portal: https://data.raleighnc.gov → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `raleigh-${r.PermitNum || Math.random()}`,
-  //     city: 'raleigh',
-  //     address: r.Address || r.SiteAddress || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // durham: {
-  //   // Portal: https://live-durhamnc.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `durham-${r.PermitNum || Math.random()}`,
-  //     city: 'durham',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── South Carolina ─────────────────────────────────────────────
-  // charleston: {
-  //   // Portal: https://charleston-sc-gis.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `charleston-${r.PermitNum || Math.random()}`,
-  //     city: 'charleston',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // greenville_sc: {
-  //   // Portal: https://greenville-sc.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `greenville-${r.PermitNum || Math.random()}`,
-  //     city: 'greenville_sc',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Oklahoma ───────────────────────────────────────────────────
-  // oklahoma_city: {
-  //   // Portal: https://okc-maps.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `okc-${r.PermitNum || Math.random()}`,
-  //     city: 'oklahoma_city',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue || r.Valuation) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // tulsa: {
-  //   // Portal: https://cityoftulsa.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `tulsa-${r.PermitNum || Math.random()}`,
-  //     city: 'tulsa',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Kansas ─────────────────────────────────────────────────────
-  // wichita: {
-  //   // Portal: https://wichita-gis.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `wichita-${r.PermitNum || Math.random()}`,
-  //     city: 'wichita',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Missouri ───────────────────────────────────────────────────
-  // st_louis: {
-  //   // Portal: https://stlouis-mo-stlouis-mo.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `stl-${r.PermitNum || Math.random()}`,
-  //     city: 'st_louis',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Colorado ───────────────────────────────────────────────────
-  // denver: {
-  //   // Portal: https://opendata-geospatialdenver.hub.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssuedDate DESC',
-  //   normalize: (r) => ({
-  //     id: `denver-${r.PermitNum || Math.random()}`,
-  //     city: 'denver',
-  //     address: r.Address || r.SiteAddress || '',
-  //     permit_type: r.PermitType || r.WorkType || '',
-  //     estimated_value: parseFloat(r.JobValue || r.TotalCost) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssuedDate ? new Date(r.IssuedDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // colorado_springs: {
-  //   // Portal: https://coloradosprings.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `cos-${r.PermitNum || Math.random()}`,
-  //     city: 'colorado_springs',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── Arizona ────────────────────────────────────────────────────
-  // phoenix: {
-  //   // Portal: https://phoenix-az.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'AppliedDate DESC',
-  //   normalize: (r) => ({
-  //     id: `phoenix-${r.PermitNum || Math.random()}`,
-  //     city: 'phoenix',
-  //     address: r.OriginalAddress1 || r.Address || '',
-  //     permit_type: r.PermitTypeDesc || r.PermitType || '',
-  //     estimated_value: parseFloat(r.EstProjectCost) || 0,
-  //     contractor_name: r.ContractorCompanyName || '',
-  //     permit_date: r.IssuedDate ? new Date(r.IssuedDate).toISOString().split('T')[0] : '',
-  //     status: r.StatusCurrent || 'issued',
-  //     zip_code: r.OriginalZip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-  // tucson: {
-  //   // Portal: https://tucson-opendata.hub.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `tucson-${r.PermitNum || Math.random()}`,
-  //     city: 'tucson',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── New Mexico ─────────────────────────────────────────────────
-  // albuquerque: {
-  //   // Portal: https://cabq.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `abq-${r.PermitNum || Math.random()}`,
-  //     city: 'albuquerque',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-
-  // ── California ─────────────────────────────────────────────────
-  // san_jose: {
-  //   // Portal: https://sanjose.opendata.arcgis.com → search "building permits"
-  //   url: 'https://[VERIFY-FEATURESERVER-URL]/0/query',
-  //   orderBy: 'IssueDate DESC',
-  //   normalize: (r) => ({
-  //     id: `sanjose-${r.PermitNum || Math.random()}`,
-  //     city: 'san_jose',
-  //     address: r.Address || '',
-  //     permit_type: r.PermitType || '',
-  //     estimated_value: parseFloat(r.JobValue) || 0,
-  //     contractor_name: r.ContractorName || '',
-  //     permit_date: r.IssueDate ? new Date(r.IssueDate).toISOString().split('T')[0] : '',
-  //     status: r.Status || 'issued',
-  //     zip_code: r.Zip || '',
-  //     description: r.Description || '',
-  //   }),
-  // },
-};
-
-async function fetchArcGIS(cityKey) {
-  const city = ARCGIS_CITIES[cityKey];
-  try {
-    const res = await axios.get(city.url, {
-      params: {
-        where: city.where || '1=1',
-        outFields: '*',
-        resultRecordCount: city.limit || 1000,
-        orderByFields: city.orderBy || 'IssueDate DESC',
-        f: 'json',
-      },
-      timeout: 25000,
-    });
-    const features = res.data.features || [];
-    if (res.data.error) throw new Error(JSON.stringify(res.data.error));
-    const insert = db.prepare(`
-      INSERT OR REPLACE INTO permits
-        (id, city, address, permit_type, estimated_value, contractor_name, permit_date, status, zip_code, description, fetched_at)
-      VALUES (@id, @city, @address, @permit_type, @estimated_value, @contractor_name, @permit_date, @status, @zip_code, @description, datetime('now'))
-    `);
-    const count = db.transaction((records) => {
-      let n = 0;
-      for (const feature of records) {
-        try {
-          const rec = city.normalize(feature.attributes);
-          if (rec.id && rec.address) { insert.run(rec); n++; }
-        } catch(_) {}
-      }
-      return n;
-    })(features);
-    console.log(`[${cityKey}] ${count} ArcGIS permits stored`);
-    return { city: cityKey, inserted: count };
-  } catch (err) {
-    console.error(`[${cityKey}] ArcGIS error:`, err.message);
-    return { city: cityKey, inserted: 0 };
-  }
+// Each city is a JSON config in cities/ (platform, url, field mapping, date format);
+// each platform is an adapter in sources/adapters/. See README → Adding New Cities.
+const SOURCES = loadSources(process.env.CITIES_DIR || path.join(__dirname, 'cities'));
+const INTEGRATIONS = crm.loadConnectors(process.env.INTEGRATIONS_DIR || path.join(__dirname, 'integrations'));
+
+// Sets `category` and the lifecycle fields on stored permits that predate them, or on
+// every permit after the rules or a city's overrides change (`npm run reclassify`)
+function classifyStored(all) {
+  const fallback = { classify: buildClassifier(), stage: buildStager() };
+  const rows = db.prepare(`
+    SELECT id, city, permit_type, description, status, estimated_value, permit_date, stage, active_until FROM permits
+    ${all ? '' : 'WHERE category IS NULL OR stage IS NULL'}
+  `).all();
+  const update = db.prepare('UPDATE permits SET category = ?, stage = ?, expected_completion = ?, active_until = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const r of rows) {
+      const source = SOURCES[r.city] || fallback;
+      const rec = { ...r, category: source.classify(r), stage: source.stage(r) };
+      rec.expected_completion = expectedCompletion(rec);
+      if (lapsed(rec)) rec.stage = 'expired';
+      update.run(rec.category, rec.stage, rec.expected_completion, activeUntil(rec, r), r.id);
+    }
+  })();
+  return rows.length;
 }
 
-async function fetchCity(cityKey) {
-  const city = SOCRATA_CITIES[cityKey];
-  try {
-    const res = await axios.get(city.url, {
-      params: { $limit: 1000, $order: city.order || ':created_at DESC' }, timeout: 20000,
-    });
-    const insert = db.prepare(`
-      INSERT OR REPLACE INTO permits
-        (id, city, address, permit_type, estimated_value, contractor_name, permit_date, status, zip_code, description, fetched_at)
-      VALUES (@id, @city, @address, @permit_type, @estimated_value, @contractor_name, @permit_date, @status, @zip_code, @description, datetime('now'))
-    `);
-    const count = db.transaction((rows) => {
-      let n = 0;
-      for (const r of rows) {
-        try { const rec = city.normalize(r); if (rec.id && rec.address) { insert.run(rec); n++; } } catch(_) {}
-      }
-      return n;
-    })(res.data);
-    console.log(`[${cityKey}] ${count} permits stored`);
-    return { city: cityKey, inserted: count };
-  } catch (err) {
-    console.error(`[${cityKey}] error:`, err.message);
-    return { city: cityKey, inserted: 0 };
+// One-time historical load: `npm run backfill -- --from=2023-01-01 [city ...]`
+// Cities run one at a time to stay polite to the portals and light on memory.
+async function backfill(args) {
+  const fromArg = args.find(a => a.startsWith('--from='));
+  const from = fromArg ? fromArg.slice(7) : process.env.BACKFILL_FROM;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '')) {
+    console.error('[backfill] Need a start date: --from=YYYY-MM-DD (or BACKFILL_FROM)');
+    process.exitCode = 1;
+    return;
+  }
+  const keys = args.filter(a => !a.startsWith('--'));
+  const unknown = keys.filter(k => !SOURCES[k]);
+  if (unknown.length) console.warn('[backfill] Unknown cities skipped:', unknown.join(', '));
+  for (const key of keys.length ? keys.filter(k => SOURCES[k]) : Object.keys(SOURCES)) {
+    console.log(`[backfill] ${key} from ${from}...`);
+    await fetchSource(SOURCES[key], { from });
+    db.prepare(`UPDATE sync_cursors SET backfill_from = ?, backfilled_at = datetime('now') WHERE city = ?`).run(from, key);
   }
+  await risk.scoreRisk();
+  groupProjects();
 }
 
-async function fetchAll() {
+function groupProjects() {
+  const { projects: n, multi } = projects.groupProjects();
+  console.log(`[projects] ${n} projects (${multi} with several permits)`);
+}
+
+// The whole refresh pipeline. `rescore: false` leaves risk scores to their weekly run.
+async function fetchAll({ rescore = true } = {}) {
   console.log('[fetch] Refreshing all cities...');
-  await Promise.allSettled([
-    ...Object.keys(SOCRATA_CITIES).map(fetchCity),
-    ...Object.keys(ARCGIS_CITIES).map(fetchArcGIS),
-  ]);
-  await fetchRiskScores();
+  db.prepare(`DELETE FROM fetch_runs WHERE started_at < datetime('now', '-90 days')`).run();
+  await Promise.allSettled(Object.keys(SOURCES).map(k => fetchSource(SOURCES[k])));
+  const located = geo.geocodeStored();
+  if (located) console.log(`[geo] ${located} stored permits located`);
+  const expired = lapseStored();
+  if (expired) console.log(`[lifecycle] ${expired} lapsed permits marked expired`);
+  groupProjects();
+  if (rescore) await risk.scoreRisk();
   const counts = db.prepare('SELECT city, COUNT(*) as n FROM permits GROUP BY city').all();
   console.log('[fetch] Done:', counts.map(c => `${c.city}:${c.n}`).join(', '));
+  await alerts.runSavedSearches();
+  await crm.syncAll(INTEGRATIONS, 'refresh');
 }
 
 // ─── API Routes ───────────────────────────────────────────────────
 app.get('/api', (req, res) => res.json({
   name: 'PermitBot API',
   version: '1.0.0',
-  cities: [...Object.keys(SOCRATA_CITIES), ...Object.keys(ARCGIS_CITIES)],
-  endpoints: ['/health', '/stats', '/permits'],
+  cities: Object.keys(SOURCES),
+  endpoints: ['/health', '/stats', '/permits', '/permits/export', '/sources', '/quarantine', '/searches', '/risk/:zip', '/projects', '/contractors', '/categories', '/stages', '/profiles', '/map/zips', '/crm', '/me', '/admin/users', '/admin/teams', '/admin/keys', '/admin/usage'],
 }));
 
 app.get('/health', (req, res) => {
@@ -896,42 +126,618 @@ app.get('/stats', (req, res) => {
   const total = db.prepare('SELECT COUNT(*) as n FROM permits').get();
   const riskCounts = db.prepare('SELECT risk_level, COUNT(*) as count FROM risk_scores GROUP BY risk_level').all();
   const newest = db.prepare('SELECT MAX(fetched_at) as last FROM permits').get();
-  res.json({ total: total.n, by_city: byCity, risk_distribution: riskCounts, last_refresh: newest.last });
+  const quarantined = db.prepare('SELECT city, COUNT(*) as count FROM quarantine GROUP BY city ORDER BY count DESC').all();
+  res.json({
+    total: total.n, by_city: byCity, risk_distribution: riskCounts, last_refresh: newest.last,
+    quarantined: { total: quarantined.reduce((n, c) => n + c.count, 0), by_city: quarantined },
+  });
 });
 
-app.get('/permits', (req, res) => {
-  const { city, type, min_value, days, zip, risk, limit = 100 } = req.query;
-  let sql = `
-    SELECT p.*, r.crime_score, r.fire_score, r.risk_level, r.poverty_rate, r.median_build_year
-    FROM permits p LEFT JOIN risk_scores r ON p.zip_code = r.zip_code WHERE 1=1
-  `;
+// Rows rejected by validation, newest first — usually a field mapping to fix in cities/
+app.get('/quarantine', (req, res) => {
+  const { city, limit = 100 } = req.query;
+  let sql = 'SELECT * FROM quarantine';
   const params = [];
-  if (city) { sql += ' AND p.city = ?'; params.push(city.toLowerCase()); }
-  if (type) { sql += ' AND p.permit_type LIKE ?'; params.push(`%${type}%`); }
-  if (min_value) { sql += ' AND p.estimated_value >= ?'; params.push(parseFloat(min_value)); }
-  if (zip) { sql += ' AND p.zip_code = ?'; params.push(zip); }
-  if (days) { sql += ` AND p.permit_date >= date('now', '-${parseInt(days)} days')`; }
-  if (risk === 'high') { sql += ` AND r.risk_level = 'HIGH'`; }
-  else if (risk === 'medium') { sql += ` AND r.risk_level IN ('HIGH','MEDIUM')`; }
-  sql += ' ORDER BY p.permit_date DESC, p.estimated_value DESC LIMIT ?';
-  params.push(Math.min(parseInt(limit) || 100, 500));
+  if (city) { sql += ' WHERE city = ?'; params.push(city.toLowerCase()); }
+  sql += ' ORDER BY last_seen_at DESC, id DESC LIMIT ?';
+  params.push(pageLimit(limit));
+  const rows = db.prepare(sql).all(...params).map(r => ({ ...r, raw: JSON.parse(r.raw) }));
+  res.json({ count: rows.length, results: rows });
+});
+
+// Source health: a city is "broken" when its latest run failed, "stale" when its
+// newest permit is older than STALE_AFTER_DAYS or it hasn't synced in two days.
+const STALE_AFTER_DAYS = parseInt(process.env.STALE_AFTER_DAYS) || 14;
+
+app.get('/sources', (req, res) => {
+  const lastRun = db.prepare('SELECT * FROM fetch_runs WHERE city = ? AND finished_at IS NOT NULL ORDER BY id DESC LIMIT 1');
+  const lastSuccess = db.prepare('SELECT id, finished_at FROM fetch_runs WHERE city = ? AND finished_at IS NOT NULL AND error IS NULL ORDER BY id DESC LIMIT 1');
+  const failures = db.prepare('SELECT COUNT(*) as n FROM fetch_runs WHERE city = ? AND error IS NOT NULL AND id > ?');
+  const permits = db.prepare(`SELECT COUNT(*) as n, MAX(NULLIF(permit_date, '')) as newest FROM permits WHERE city = ?`);
+  // permit_date is YYYY-MM-DD; SQLite datetime('now') is UTC "YYYY-MM-DD HH:MM:SS"
+  const daysSince = (d) => d ? Math.floor((Date.now() - Date.parse(d.length > 10 ? d.replace(' ', 'T') + 'Z' : d)) / 86400000) : null;
+
+  const sources = Object.values(SOURCES).map((source) => {
+    const run = lastRun.get(source.key);
+    const success = lastSuccess.get(source.key) || { id: 0, finished_at: null };
+    const stats = permits.get(source.key);
+    const freshness = daysSince(stats.newest);
+    let health = 'ok';
+    if (!run) health = 'pending';
+    else if (run.error) health = 'broken';
+    else if (freshness == null || freshness > STALE_AFTER_DAYS || daysSince(success.finished_at) >= 2) health = 'stale';
+    return {
+      city: source.key,
+      platform: source.platform,
+      state: source.state || null,
+      health,
+      permits: stats.n,
+      newest_permit_date: stats.newest,
+      newest_permit_age_days: freshness,
+      last_success_at: success.finished_at,
+      consecutive_failures: failures.get(source.key, success.id).n,
+      last_run: run ? {
+        started_at: run.started_at,
+        finished_at: run.finished_at,
+        http_status: run.http_status,
+        pages: run.pages,
+        rows_received: run.rows_received,
+        rows_inserted: run.rows_inserted,
+        rows_rejected: run.rows_rejected,
+        error: run.error,
+      } : null,
+    };
+  });
+  res.json({ stale_after_days: STALE_AFTER_DAYS, sources });
+});
+
+// Keyset-paged: pass a response's next_cursor back as ?cursor= for the next page
+app.get('/permits', (req, res) => {
+  const { limit = 100, cursor } = req.query;
+  const profile = leads.profileOf(req.query);
+  if (!profile) return res.status(400).json({ error: `unknown profile "${req.query.profile}"` });
+  const order = permitOrder(req.query);
+  if (!order) {
+    return res.status(400).json({ error: `sort must be a comma-separated list of ${Object.keys(SORT_FIELDS).join(', ')}, each optionally :asc or :desc (relevance needs q)` });
+  }
+  const after = cursor ? decodeCursor(cursor, order) : null;
+  if (cursor && !after) return res.status(400).json({ error: 'invalid cursor (cursors only work with the sort they came from)' });
+  const fields = req.query.fields ? listOf(req.query.fields) : null;
+  const unknown = (fields || []).filter(f => !PERMIT_FIELDS.includes(f));
+  if (unknown.length) return res.status(400).json({ error: `unknown fields: ${unknown.join(', ')}` });
+  const error = filterError(req.query);
+  if (error) return res.status(400).json({ error });
+  const filters = permitFilters(req.query, accounts.requestScope(req));
+  const page = pageQuery({ profile, filters, order, after, limit });
   try {
-    res.json({ count: 0, results: db.prepare(sql).all(...params) });
+    const rows = db.prepare(page.sql).all(...page.params);
+    const more = rows.length === page.params[page.params.length - 1];
+    if (more) rows.pop();
+    const total = db.prepare(PERMIT_COUNT + filters.sql).get(...filters.params).n;
+    const results = withSnippets(withDistance(withRiskFactors(withoutSortKeys(rows)), req.query), req.query);
+    res.json({
+      count: results.length, total, sort: order.spec,
+      next_cursor: more ? encodeCursor(order, rows[rows.length - 1]) : null,
+      results: withFields(results, fields),
+    });
   } catch (err) {
+    if (/fts5/.test(err.message)) return res.status(400).json({ error: `invalid search: ${err.message}` });
     res.status(500).json({ error: err.message });
   }
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`PermitBot API running on port ${PORT}`);
-  fetchAll();
+// Every matching permit as one streamed download (no limit or cursor), in the /permits sort
+app.get('/permits/export', async (req, res) => {
+  const { format = 'csv' } = req.query;
+  const type = permitExport.FORMATS[format];
+  if (!type) return res.status(400).json({ error: `format must be one of: ${Object.keys(permitExport.FORMATS).join(', ')}` });
+  const profile = leads.profileOf(req.query);
+  if (!profile) return res.status(400).json({ error: `unknown profile "${req.query.profile}"` });
+  const order = permitOrder(req.query);
+  if (!order) {
+    return res.status(400).json({ error: `sort must be a comma-separated list of ${Object.keys(SORT_FIELDS).join(', ')}, each optionally :asc or :desc (relevance needs q)` });
+  }
+  const columns = req.query.columns ? listOf(req.query.columns) : permitExport.EXPORT_COLUMNS;
+  const unknown = columns.filter(c => !permitExport.EXPORTABLE.includes(c));
+  if (unknown.length || !columns.length) return res.status(400).json({ error: `unknown columns: ${unknown.join(', ') || '(none given)'}` });
+  const error = filterError(req.query);
+  if (error) return res.status(400).json({ error });
+  const filters = permitFilters(req.query, accounts.requestScope(req));
+  let total;
+  try {
+    total = db.prepare(PERMIT_COUNT + filters.sql).get(...filters.params).n;
+  } catch (err) {
+    if (/fts5/.test(err.message)) return res.status(400).json({ error: `invalid search: ${err.message}` });
+    return res.status(500).json({ error: err.message });
+  }
+  if (format === 'xlsx' && total >= XLSX_MAX_ROWS) {
+    return res.status(400).json({ error: `${total} permits is more than one XLSX sheet holds; narrow the filters or use csv` });
+  }
+  res.set({
+    'Content-Type': type.type,
+    'Content-Disposition': `attachment; filename="permits-${new Date().toISOString().slice(0, 10)}.${format}"`,
+    'X-Export-Schema': permitExport.EXPORT_SCHEMA,
+    'X-Total-Count': String(total),
+  });
+  try {
+    const n = await permitExport.streamExport(res, { format, columns, profile, filters, order, query: req.query });
+    console.log(`[export] ${n} permits as ${format}`);
+  } catch (err) {
+    console.error('[export] error:', err.message);
+    res.destroy(err);
+  }
+});
+
+app.get('/permits/:id/history', (req, res) => {
+  const scope = accounts.requestScope(req);
+  const permit = db.prepare(`SELECT p.* FROM permits p WHERE p.id = ?${scope ? scope.sql : ''}`).get(req.params.id, ...(scope ? scope.params : []));
+  if (!permit) return res.status(404).json({ error: 'permit not found' });
+  const events = db.prepare('SELECT field, old_value, new_value, changed_at FROM permit_events WHERE permit_id = ? ORDER BY changed_at DESC, id DESC').all(req.params.id);
+  res.json({ permit, events });
 });
 
-// Permits refresh daily at 2am, risk scores refresh weekly Sunday 3am
-cron.schedule('0 2 * * *', async () => {
-  await Promise.allSettled([
-    ...Object.keys(SOCRATA_CITIES).map(fetchCity),
-    ...Object.keys(ARCGIS_CITIES).map(fetchArcGIS),
-  ]);
+// ─── Projects ─────────────────────────────────────────────────────
+// Multi-permit jobs grouped into one lead; takes the /permits filters
+app.get('/projects', (req, res) => {
+  const { sort } = req.query;
+  if (sort && !projects.PROJECT_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(projects.PROJECT_SORTS).join(', ')}` });
+  }
+  const error = filterError(req.query);
+  if (error) return res.status(400).json({ error });
+  try {
+    const results = projects.listProjects(req.query, accounts.requestScope(req));
+    res.json({ count: results.length, results });
+  } catch (err) {
+    if (/fts5/.test(err.message)) return res.status(400).json({ error: `invalid search: ${err.message}` });
+    res.status(500).json({ error: err.message });
+  }
 });
-cron.schedule('0 3 * * 0', fetchRiskScores);
+
+app.get('/projects/:id', (req, res) => {
+  const profile = leads.profileOf(req.query);
+  if (!profile) return res.status(400).json({ error: `unknown profile "${req.query.profile}"` });
+  const project = projects.getProject(req.params.id, profile, accounts.requestScope(req));
+  if (!project) return res.status(404).json({ error: 'project not found' });
+  res.json(project);
+});
+
+// ─── Contractors ──────────────────────────────────────────────────
+app.get('/contractors', (req, res) => {
+  const { sort } = req.query;
+  if (sort && !contractors.CONTRACTOR_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(contractors.CONTRACTOR_SORTS).join(', ')}` });
+  }
+  const results = contractors.listContractors(req.query, accounts.requestScope(req));
+  res.json({ count: results.length, results });
+});
+
+app.get('/contractors/:id', (req, res) => {
+  const contractor = contractors.getContractor(parseInt(req.params.id), accounts.requestScope(req));
+  if (!contractor) return res.status(404).json({ error: 'contractor not found' });
+  res.json(contractor);
+});
+
+// Canonical permit categories with permit counts
+app.get('/categories', (req, res) => {
+  const counts = Object.fromEntries(db.prepare('SELECT category, COUNT(*) as n FROM permits GROUP BY category').all().map(r => [r.category, r.n]));
+  res.json({ results: Object.entries(CATEGORIES).map(([key, label]) => ({ key, label, count: counts[key] || 0 })) });
+});
+
+// Canonical lifecycle stages with permit counts
+app.get('/stages', (req, res) => {
+  const counts = Object.fromEntries(db.prepare('SELECT stage, COUNT(*) as n FROM permits GROUP BY stage').all().map(r => [r.stage, r.n]));
+  res.json({ results: Object.entries(STAGES).map(([key, label]) => ({ key, label, count: counts[key] || 0 })) });
+});
+
+app.get('/profiles', (req, res) => res.json({ results: leads.listProfiles() }));
+
+// ─── Risk ─────────────────────────────────────────────────────────
+app.get('/risk/model', (req, res) => res.json({
+  ...risk.MODEL,
+  geography: risk.GEOGRAPHY,
+  factors: Object.fromEntries(Object.entries(risk.FACTORS).map(([k, f]) => [k, { kind: f.kind, source: f.source, label: f.label }])),
+  incident_sources: risk.listIncidentSources(),
+  census: risk.describeCensus(),
+}));
+
+const MAX_RISK_ZIPS = 100;
+
+// Batch breakdown: /risk?zips=78701,78702
+app.get('/risk', (req, res) => {
+  const zips = [...new Set(String(req.query.zips || '').split(',').map(z => z.trim()).filter(Boolean))];
+  if (!zips.length) return res.status(400).json({ error: 'zips is required, e.g. ?zips=78701,78702' });
+  if (zips.length > MAX_RISK_ZIPS) return res.status(400).json({ error: `at most ${MAX_RISK_ZIPS} zips per request` });
+  const bad = zips.filter(z => !/^\d{5}$/.test(z));
+  if (bad.length) return res.status(400).json({ error: `invalid zip: ${bad.join(', ')}` });
+  const results = [], not_scored = [];
+  for (const zip of zips) {
+    const breakdown = risk.explainZip(zip);
+    if (breakdown) results.push(breakdown); else not_scored.push(zip);
+  }
+  res.json({ count: results.length, results, not_scored });
+});
+
+app.get('/risk/:zip', (req, res) => {
+  if (!/^\d{5}$/.test(req.params.zip)) return res.status(400).json({ error: 'zip must be 5 digits' });
+  const breakdown = risk.explainZip(req.params.zip);
+  if (!breakdown) return res.status(404).json({ error: `ZIP ${req.params.zip} has not been scored` });
+  res.json(breakdown);
+});
+
+// ─── Map ──────────────────────────────────────────────────────────
+// Tile source is configurable so the map can run against a self-hosted tile server
+app.get('/map/config', (req, res) => res.json({
+  tileUrl: process.env.MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: process.env.MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors',
+  maxZoom: parseInt(process.env.MAP_MAX_ZOOM) || 19,
+}));
+
+// Scored ZIPs with at least one permit matching the /permits filters, as GeoJSON
+app.get('/map/zips', (req, res) => {
+  const error = filterError(req.query);
+  if (error) return res.status(400).json({ error });
+  const filters = permitFilters(req.query, accounts.requestScope(req));
+  try {
+    const rows = db.prepare(`
+      SELECT r.zip_code, r.crime_score, r.fire_score, r.risk_level, r.poverty_rate, r.median_build_year, COUNT(*) as permits
+      FROM permits p JOIN risk_scores r ON p.zip_code = r.zip_code ${RISK_AREA_JOIN} WHERE 1=1${filters.sql}
+      GROUP BY r.zip_code
+    `).all(...filters.params);
+    const features = rows
+      .map(r => ({ type: 'Feature', geometry: geo.zipArea(r.zip_code), properties: r }))
+      .filter(f => f.geometry);
+    res.json({ type: 'FeatureCollection', features });
+  } catch (err) {
+    if (/fts5/.test(err.message)) return res.status(400).json({ error: `invalid search: ${err.message}` });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Saved Searches ───────────────────────────────────────────────
+// A search belongs to the user or API key that created it. Only admin users,
+// admin keys and open access (API_AUTH=off) see and manage everyone's.
+const searchCreator = (req) => ({ user_id: req.user ? req.user.id : null, key_id: req.apiKey ? req.apiKey.id : null });
+function searchOwner(req) {
+  const admin = req.user ? req.user.role === 'admin' : req.apiKey ? req.apiKey.admin : !access.AUTH_REQUIRED;
+  return admin ? null : searchCreator(req);
+}
+function ownSearch(req) {
+  const search = alerts.getSearch(req.params.id);
+  const owner = searchOwner(req);
+  return search && (!owner || (search.user_id === owner.user_id && search.key_id === owner.key_id)) ? search : null;
+}
+
+app.get('/searches', (req, res) => res.json({ results: alerts.listSearches(searchOwner(req)) }));
+
+app.post('/searches', (req, res) => {
+  const error = alerts.validateSearch(req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json(alerts.createSearch(req.body, searchCreator(req)));
+});
+
+app.get('/searches/:id', (req, res) => {
+  const search = ownSearch(req);
+  if (!search) return res.status(404).json({ error: 'search not found' });
+  res.json(search);
+});
+
+app.delete('/searches/:id', (req, res) => {
+  if (!ownSearch(req) || !alerts.deleteSearch(req.params.id)) return res.status(404).json({ error: 'search not found' });
+  res.status(204).end();
+});
+
+// Runs one search now and delivers anything new — handy for checking a webhook
+app.post('/searches/:id/run', async (req, res) => {
+  const search = ownSearch(req);
+  if (!search) return res.status(404).json({ error: 'search not found' });
+  try {
+    res.json(await alerts.runSearch(search));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── CRM Sync ─────────────────────────────────────────────────────
+app.get('/crm', (req, res) => res.json({ results: Object.values(INTEGRATIONS).map(crm.describeConnector) }));
+
+app.get('/crm/:key', (req, res) => {
+  const target = INTEGRATIONS[req.params.key];
+  if (!target) return res.status(404).json({ error: 'integration not found' });
+  res.json(crm.connectorStatus(target));
+});
+
+// On-demand sync, admins only; ?full=1 re-sends every matching permit, changed or not
+app.post('/crm/:key/sync', access.requireAdmin, async (req, res) => {
+  const target = INTEGRATIONS[req.params.key];
+  if (!target) return res.status(404).json({ error: 'integration not found' });
+  const full = ['1', 'true'].includes(String(req.query.full));
+  const result = await crm.syncConnector(target, { full, trigger: 'manual' });
+  if (result.error === 'sync already running') return res.status(409).json(result);
+  res.status(result.error ? 502 : 200).json(result);
+});
+
+// ─── Accounts ─────────────────────────────────────────────────────
+app.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  const session = await accounts.login(email, password);
+  if (session && session.locked) return res.status(429).json({ error: 'too many failed sign-ins; try again in 15 minutes' });
+  if (!session) return res.status(401).json({ error: 'wrong email or password' });
+  res.cookie(...accounts.sessionCookie(req, session.token));
+  res.json(accounts.describeMe(session.user));
+});
+
+app.post('/auth/logout', (req, res) => {
+  accounts.logout(req);
+  res.clearCookie(accounts.SESSION_COOKIE);
+  res.status(204).end();
+});
+
+// The signed-in user, their territories, and what their permit lists cover
+// (?scope=mine as on /permits)
+app.get('/me', (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'not signed in' });
+  res.json(accounts.describeMe(req.user, { mine: req.query.scope === 'mine' }));
+});
+
+app.post('/me/password', async (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'not signed in' });
+  const { current_password, password } = req.body || {};
+  const invalid = accounts.validateUser({ password }, true);
+  if (invalid || password === undefined) return res.status(400).json({ error: invalid ? invalid[1] : 'password is required' });
+  if (!(await accounts.changePassword(req.user.id, current_password, password))) {
+    return res.status(403).json({ error: 'current_password is wrong' });
+  }
+  // Changing the password signs out every session, this one included
+  res.cookie(...accounts.sessionCookie(req, accounts.createSession(req.user.id)));
+  res.json({ changed: true });
+});
+
+// ─── Admin ────────────────────────────────────────────────────────
+app.use('/admin', access.requireAdmin);
+
+app.get('/admin/users', (req, res) => res.json({ results: accounts.listUsers() }));
+
+// Without a password one is generated and returned once, as `password`
+app.post('/admin/users', async (req, res) => {
+  const invalid = accounts.validateUser(req.body);
+  if (invalid) return res.status(invalid[0]).json({ error: invalid[1] });
+  res.status(201).json(await accounts.createUser(req.body));
+});
+
+app.patch('/admin/users/:id', async (req, res) => {
+  if (!accounts.getUser(req.params.id)) return res.status(404).json({ error: 'user not found' });
+  const invalid = accounts.validateUser(req.body, true, req.params.id);
+  if (invalid) return res.status(invalid[0]).json({ error: invalid[1] });
+  res.json(await accounts.updateUser(req.params.id, req.body));
+});
+
+app.put('/admin/users/:id/territories', (req, res) => {
+  const user = accounts.getUser(req.params.id);
+  if (!user) return res.status(404).json({ error: 'user not found' });
+  const error = accounts.validateTerritories(req.body);
+  if (error) return res.status(400).json({ error });
+  accounts.setTerritories({ userId: user.id }, req.body);
+  res.json(accounts.listUsers().find(u => u.id === user.id));
+});
+
+app.get('/admin/teams', (req, res) => res.json({ results: accounts.listTeams() }));
+
+app.post('/admin/teams', (req, res) => {
+  const invalid = accounts.validateTeam(req.body);
+  if (invalid) return res.status(invalid[0]).json({ error: invalid[1] });
+  res.status(201).json(accounts.createTeam(req.body));
+});
+
+app.patch('/admin/teams/:id', (req, res) => {
+  if (!accounts.getTeam(req.params.id)) return res.status(404).json({ error: 'team not found' });
+  const invalid = accounts.validateTeam(req.body, req.params.id);
+  if (invalid) return res.status(invalid[0]).json({ error: invalid[1] });
+  res.json(accounts.renameTeam(req.params.id, req.body));
+});
+
+app.delete('/admin/teams/:id', (req, res) => {
+  if (!accounts.deleteTeam(req.params.id)) return res.status(404).json({ error: 'team not found' });
+  res.status(204).end();
+});
+
+app.put('/admin/teams/:id/territories', (req, res) => {
+  const team = accounts.getTeam(req.params.id);
+  if (!team) return res.status(404).json({ error: 'team not found' });
+  const error = accounts.validateTerritories(req.body);
+  if (error) return res.status(400).json({ error });
+  accounts.setTerritories({ teamId: team.id }, req.body);
+  res.json(accounts.listTeams().find(t => t.id === team.id));
+});
+
+app.get('/admin/keys', (req, res) => res.json({ results: access.listKeys() }));
+
+// The response is the only time the plain key is shown
+app.post('/admin/keys', (req, res) => {
+  const error = access.validateKey(req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json(access.createKey(req.body));
+});
+
+app.patch('/admin/keys/:id', (req, res) => {
+  if (!access.getKey(req.params.id)) return res.status(404).json({ error: 'key not found' });
+  const error = access.validateKey(req.body, true);
+  if (error) return res.status(400).json({ error });
+  res.json(access.updateKey(req.params.id, req.body));
+});
+
+app.delete('/admin/keys/:id', (req, res) => {
+  if (!access.revokeKey(req.params.id)) return res.status(404).json({ error: 'key not found or already revoked' });
+  res.json({ revoked: true });
+});
+
+app.get('/admin/usage', (req, res) => {
+  if (req.query.month && !/^\d{4}-\d{2}$/.test(req.query.month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+  res.json(access.usage({ month: req.query.month || undefined, keyId: req.query.key || null }));
+});
+
+// Loads a local address-point CSV for one city, then re-locates stored permits:
+// `npm run import-addresses -- --city=austin austin-addresses.csv`
+async function importAddresses(args) {
+  const cityArg = args.find(a => a.startsWith('--city='));
+  const file = args.find(a => !a.startsWith('--'));
+  if (!cityArg || !file) {
+    console.error('[geo] Usage: import-addresses --city=<city key> <file.csv>');
+    process.exitCode = 1;
+    return;
+  }
+  const { imported, skipped } = await geo.importAddresses(file, cityArg.slice(7));
+  console.log(`[geo] ${imported} addresses imported (${skipped} skipped), ${geo.geocodeStored()} permits located`);
+}
+
+// Imports a local crime incident or fire call CSV, then rescores ZIPs:
+// `npm run import-incidents -- --kind=crime [--source=apd-2024] apd-incidents.csv`
+async function importIncidents(args) {
+  const opt = (name) => { const a = args.find(a => a.startsWith(`--${name}=`)); return a && a.slice(name.length + 3); };
+  const file = args.find(a => !a.startsWith('--'));
+  if (!opt('kind') || !file) {
+    console.error('[risk] Usage: import-incidents --kind=crime|fire [--source=<name>] <file.csv>');
+    process.exitCode = 1;
+    return;
+  }
+  const { source, imported, skipped } = await risk.importIncidents(file, { kind: opt('kind'), source: opt('source') });
+  console.log(`[risk] ${imported} ${opt('kind')} incidents imported as "${source}" (${skipped} rows skipped)`);
+  await risk.scoreRisk();
+}
+
+// `npm run import-census -- [--vintage=2022] ACSDT5Y2022.B17001-Data.csv ACSDT5Y2022.B25037-Data.csv ...`
+async function importCensus(args) {
+  const files = args.filter(a => !a.startsWith('--'));
+  const flag = args.find(a => a.startsWith('--vintage='));
+  const vintage = flag ? parseInt(flag.slice(10)) : risk.censusVintageOf(files[0]);
+  if (!files.length || !vintage) {
+    console.error('[risk] Usage: import-census [--vintage=<year>] <table.csv> [<table.csv> ...]');
+    process.exitCode = 1;
+    return;
+  }
+  const { values, variables, skipped } = await risk.importCensus(files, vintage);
+  console.log(`[risk] ${values} ACS ${vintage} estimates imported (${variables.join(', ') || 'no risk variables found'}; ${skipped} rows skipped)`);
+  await risk.scoreRisk();
+}
+
+// `npm run crm-sync -- [--integration=hubspot] [--full]`
+async function syncCrm(args) {
+  const flag = args.find(a => a.startsWith('--integration='));
+  const key = flag && flag.slice(14);
+  if (key && !INTEGRATIONS[key]) {
+    console.error(`[crm] Unknown integration "${key}" (configured: ${Object.keys(INTEGRATIONS).join(', ') || 'none'})`);
+    process.exitCode = 1;
+    return;
+  }
+  for (const target of key ? [INTEGRATIONS[key]] : Object.values(INTEGRATIONS)) {
+    const r = await crm.syncConnector(target, { full: args.includes('--full'), trigger: 'cli' });
+    if (r.error) process.exitCode = 1;
+    else console.log(`[crm] ${r.connector}: ${r.matched} matched, ${r.pushed} pushed${r.more ? ' (more next run)' : ''}`);
+  }
+}
+
+// `npm run api-keys -- create --name="Acme Roofing" [--admin] [--rate-limit=120] [--quota=10000] [--endpoints=/risk,/permits]`
+// `npm run api-keys -- list`, `npm run api-keys -- revoke <id>`
+function apiKeys([action, ...rest]) {
+  const opt = (name) => { const a = rest.find(a => a.startsWith(`--${name}=`)); return a && a.slice(name.length + 3); };
+  const int = (v) => (v === undefined ? undefined : parseInt(v));
+  if (action === 'create') {
+    const body = {
+      name: opt('name'), admin: rest.includes('--admin'), rate_limit: int(opt('rate-limit')), monthly_quota: int(opt('quota')),
+      endpoints: opt('endpoints') ? opt('endpoints').split(',') : undefined,
+    };
+    const error = access.validateKey(body);
+    if (error) {
+      console.error(`[access] ${error}`);
+      process.exitCode = 1;
+      return;
+    }
+    const key = access.createKey(body);
+    console.log(`[access] Key ${key.id} for "${key.name}"${key.admin ? ' (admin)' : ''}: ${key.key}`);
+    console.log('[access] Store it now; it is not shown again.');
+  } else if (action === 'list') {
+    for (const k of access.listKeys()) {
+      console.log(`${k.id}\t${k.prefix}…\t${k.name}${k.admin ? ' (admin)' : ''}\t${k.month_requests} this month${k.revoked_at ? `\trevoked ${k.revoked_at}` : ''}`);
+    }
+  } else if (action === 'revoke' && rest[0]) {
+    const revoked = access.revokeKey(rest[0]);
+    console.log(revoked ? `[access] Key ${rest[0]} revoked` : `[access] No active key ${rest[0]}`);
+    if (!revoked) process.exitCode = 1;
+  } else {
+    console.error('[access] Usage: api-keys create --name=<name> [--admin] [--rate-limit=<per min>] [--quota=<per month>] [--endpoints=/risk,...] | list | revoke <id>');
+    process.exitCode = 1;
+  }
+}
+
+// `npm run users -- create --email=ana@example.com --name="Ana Ruiz" [--role=rep|manager|admin] [--team="Central TX"] [--password=…]`
+// `npm run users -- list`, `npm run users -- password --email=ana@example.com [--password=…]`
+// Without --password one is generated and printed.
+async function users([action, ...rest]) {
+  const opt = (name) => { const a = rest.find(a => a.startsWith(`--${name}=`)); return a && a.slice(name.length + 3); };
+  const fail = (message) => { console.error(`[accounts] ${message}`); process.exitCode = 1; };
+  if (action === 'create') {
+    let team = null;
+    if (opt('team')) team = accounts.listTeams().find(t => t.name === opt('team')) || accounts.createTeam({ name: opt('team') });
+    const body = { email: opt('email'), name: opt('name'), role: opt('role') || 'rep', team_id: team ? team.id : null, password: opt('password') };
+    const invalid = accounts.validateUser(body);
+    if (invalid) return fail(invalid[1]);
+    const user = await accounts.createUser(body);
+    console.log(`[accounts] User ${user.id}: ${user.name} <${user.email}>, ${user.role}${team ? ` on ${team.name}` : ''}`);
+    if (user.password) console.log(`[accounts] Password: ${user.password}`);
+  } else if (action === 'list') {
+    for (const u of accounts.listUsers()) {
+      console.log(`${u.id}\t${u.email}\t${u.name}\t${u.role}\t${u.team || '—'}\t${u.territories.length} territories${u.disabled_at ? '\tdisabled' : ''}`);
+    }
+  } else if (action === 'password' && opt('email')) {
+    const user = accounts.listUsers().find(u => u.email === opt('email').toLowerCase());
+    if (!user) return fail(`No user ${opt('email')}`);
+    const password = opt('password') || crypto.randomBytes(9).toString('base64url');
+    const invalid = accounts.validateUser({ password }, true);
+    if (invalid) return fail(invalid[1]);
+    await accounts.updateUser(user.id, { password });
+    console.log(`[accounts] Password for ${user.email} ${opt('password') ? 'changed' : `reset to ${password}`}`);
+  } else {
+    fail('Usage: users create --email=<email> --name=<name> [--role=rep|manager|admin] [--team=<team>] [--password=<password>] | list | password --email=<email> [--password=<password>]');
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+if (command === 'backfill') {
+  backfill(args).then(() => db.close());
+} else if (command === 'import-addresses') {
+  importAddresses(args).then(() => db.close());
+} else if (command === 'import-census') {
+  importCensus(args).then(() => db.close());
+} else if (command === 'import-incidents') {
+  importIncidents(args).catch((err) => { console.error('[risk]', err.message); process.exitCode = 1; }).then(() => db.close());
+} else if (command === 'crm-sync') {
+  syncCrm(args).then(() => db.close());
+} else if (command === 'users') {
+  users(args).then(() => db.close());
+} else if (command === 'api-keys') {
+  apiKeys(args);
+  db.close();
+} else if (command === 'reclassify') {
+  console.log(`[taxonomy] ${classifyStored(true)} permits reclassified`);
+  db.close();
+} else {
+  const unclassified = classifyStored(false);
+  if (unclassified) console.log(`[taxonomy] ${unclassified} stored permits classified`);
+  const unlinked = contractors.linkStored();
+  if (unlinked) console.log(`[contractors] ${unlinked} stored permits linked to contractors`);
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`PermitBot API running on port ${PORT}`);
+    if (!access.AUTH_REQUIRED) console.warn('[access] API_AUTH=off: the API is open to anyone who can reach this port');
+    else if (!access.hasKeys() && !accounts.listUsers().length) {
+      console.warn('[access] No users or API keys yet; create an admin with `npm run users -- create --email=<email> --name=<name> --role=admin`');
+    }
+    fetchAll();
+  });
+
+  // Permits refresh daily at 2am, risk scores refresh weekly Sunday 3am
+  cron.schedule('0 2 * * *', () => fetchAll({ rescore: false }));
+  cron.schedule('0 3 * * 0', risk.scoreRisk);
+  // Failed CRM pushes come due on a backoff; pick them up between refreshes
+  cron.schedule('30 * * * *', () => crm.syncAll(INTEGRATIONS, 'retry'));
+}
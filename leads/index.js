@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+// ─── Lead Scoring ─────────────────────────────────────────────────
+// Per-permit lead_score (0-100) from six factors, each scaled 0-1:
+//   value       log scale — $1K → 0, $10M+ → 1
+//   type        tier of the permit's category (new / major / demolition / minor / other)
+//   recency     1 on the permit date, fading to 0 after the profile's recencyDays
+//   crime, fire the ZIP's risk scores / 10 (0.5 when the ZIP isn't scored yet)
+//   contractor  contractor size by permits on file — 1 permit → 0, 100+ → 1
+// A profile weights the factors for one kind of customer; the score is the
+// weighted mean. Profiles live in leads/profiles.json (or LEAD_PROFILES).
+
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_RECENCY_DAYS = 90;
+
+// Taxonomy category (sources/classify.js) → type tier
+const TYPE_TIERS = {
+  new_commercial: 'new', new_residential: 'new', demolition: 'demolition',
+  addition: 'major', remodel: 'major',
+  roofing: 'minor', mep: 'minor', solar: 'minor', pool: 'minor', sign: 'minor', fence: 'minor', site_work: 'minor',
+};
+
+function loadProfiles() {
+  const file = process.env.LEAD_PROFILES || path.join(__dirname, 'profiles.json');
+  const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!profiles[DEFAULT_PROFILE]) throw new Error(`${file} has no "${DEFAULT_PROFILE}" profile`);
+  return profiles;
+}
+const PROFILES = loadProfiles();
+
+function typeTier(category) {
+  return TYPE_TIERS[category] || 'other';
+}
+
+const clamp = (n) => Math.max(0, Math.min(1, n));
+
+function leadFactors(p, profile) {
+  const ageDays = (Date.now() - new Date(`${p.permit_date}T00:00:00Z`)) / 86400000;
+  const types = profile.types || PROFILES[DEFAULT_PROFILE].types;
+  return {
+    value: p.estimated_value > 0 ? clamp(Math.log10(p.estimated_value / 1000) / 4) : 0,
+    type: types[typeTier(p.category)] ?? 0,
+    recency: Number.isFinite(ageDays) ? clamp(1 - ageDays / (profile.recencyDays || DEFAULT_RECENCY_DAYS)) : 0,
+    crime: p.crime_score == null ? 0.5 : p.crime_score / 10,
+    fire: p.fire_score == null ? 0.5 : p.fire_score / 10,
+    contractor: p.contractor_permits > 0 ? clamp(Math.log10(p.contractor_permits) / 2) : 0,
+  };
+}
+
+function leadScore(p, profileKey) {
+  const profile = PROFILES[profileKey] || PROFILES[DEFAULT_PROFILE];
+  const factors = leadFactors(p, profile);
+  let sum = 0, total = 0;
+  for (const [k, w] of Object.entries(profile.weights)) {
+    sum += w * (factors[k] || 0);
+    total += w;
+  }
+  return total ? Math.round(sum / total * 100) : 0;
+}
+
+// lead_score(profile, value, category, date, crime, fire, contractor_permits)
+db.function('lead_score', (profile, estimated_value, category, permit_date, crime_score, fire_score, contractor_permits) =>
+  leadScore({ estimated_value, category, permit_date, crime_score, fire_score, contractor_permits }, profile));
+
+// The profile key for a request, or null when it names an unknown profile
+function profileOf(query) {
+  const key = query.profile || DEFAULT_PROFILE;
+  return PROFILES[key] ? key : null;
+}
+
+function listProfiles() {
+  return Object.entries(PROFILES).map(([key, p]) => ({ key, label: p.label, weights: p.weights, types: p.types }));
+}
+
+module.exports = { typeTier, leadFactors, leadScore, profileOf, listProfiles, DEFAULT_PROFILE };
@@ -0,0 +1,316 @@
+// ─── Permit Search Query ──────────────────────────────────────────
+// Builds the filtered permits + risk join from /permits query params.
+// Shared by the /permits route and saved-search alerts so both match identically.
+const db = require('./db');
+const { distanceMiles } = require('./geo');  // also registers distance_miles() in SQLite
+require('./leads');  // registers lead_score()
+const { contractorKey } = require('./contractors');
+const { MODEL: RISK_MODEL } = require('./risk');
+
+// A permit's tract / block-group score (risk_area_scores) when it has one, else its ZIP's
+const RISK_AREA_JOIN = 'LEFT JOIN risk_area_scores a ON a.geo_id IN (p.block_group_geoid, p.tract_geoid)';
+
+// The one bound param is the lead-score profile key (leads.profileOf)
+const PERMIT_SELECT = `
+  SELECT p.*, COALESCE(a.crime_score, r.crime_score) as crime_score, COALESCE(a.fire_score, r.fire_score) as fire_score,
+    COALESCE(a.risk_level, r.risk_level) as risk_level, COALESCE(a.poverty_rate, r.poverty_rate) as poverty_rate,
+    COALESCE(a.median_build_year, r.median_build_year) as median_build_year,
+    COALESCE(a.factors, r.factors) as risk_factors, COALESCE(a.model_version, r.model_version) as risk_model,
+    CASE WHEN a.geo_id IS NOT NULL THEN a.geo_type WHEN r.zip_code IS NOT NULL THEN 'zip' END as risk_geography,
+    COALESCE(a.geo_id, r.zip_code) as risk_area,
+    IIF(a.geo_id IS NULL, r.trend, a.trend) as trend, IIF(a.geo_id IS NULL, r.trend_since, a.trend_since) as trend_since,
+    IIF(a.geo_id IS NULL, r.crime_trend, a.crime_trend) as crime_trend,
+    IIF(a.geo_id IS NULL, r.fire_trend, a.fire_trend) as fire_trend,
+    (SELECT MAX(changed_at) FROM permit_events e WHERE e.permit_id = p.id) as last_changed_at,
+    IIF(p.permit_date <= date('now') AND p.active_until >= date('now'), 1, 0) as active_now,
+    CAST(julianday(p.expected_completion) - julianday(p.permit_date) AS INTEGER) as expected_days,
+    (SELECT contractor_id FROM permit_contractors pc WHERE pc.permit_id = p.id ORDER BY position LIMIT 1) as contractor_id,
+    lead_score(?, p.estimated_value, p.category, p.permit_date,
+      COALESCE(a.crime_score, r.crime_score), COALESCE(a.fire_score, r.fire_score),
+      (SELECT COUNT(*) FROM permit_contractors cp WHERE cp.contractor_id =
+        (SELECT contractor_id FROM permit_contractors pc WHERE pc.permit_id = p.id ORDER BY position LIMIT 1))) as lead_score
+  FROM permits p LEFT JOIN risk_scores r ON p.zip_code = r.zip_code ${RISK_AREA_JOIN} WHERE 1=1
+`;
+
+// Rows matching the filters, for a total count alongside a page of PERMIT_SELECT
+const PERMIT_COUNT = `SELECT COUNT(*) as n FROM permits p LEFT JOIN risk_scores r ON p.zip_code = r.zip_code ${RISK_AREA_JOIN} WHERE 1=1`;
+
+// Every field a /permits row can carry, for ?fields=
+const PERMIT_FIELDS = [...db.prepare(PERMIT_SELECT).columns().map(c => c.name), 'snippet', 'distance_miles'];
+
+// ?sort= keys and their default direction. Each runs over PERMIT_SELECT's output
+// (row alias q) and never returns NULL (missing values sort as lowest), so a cursor
+// can always compare against it. risk is the combined score, weighted as the model does.
+const { crime: CRIME_WEIGHT, fire: FIRE_WEIGHT } = RISK_MODEL.combined;
+const SORT_FIELDS = {
+  date: { sql: "COALESCE(q.permit_date, '')", dir: 'desc' },
+  value: { sql: 'COALESCE(q.estimated_value, -1)', dir: 'desc' },
+  risk: { sql: `COALESCE((q.crime_score * ${CRIME_WEIGHT} + q.fire_score * ${FIRE_WEIGHT}) / ${CRIME_WEIGHT + FIRE_WEIGHT}, -1)`, dir: 'desc' },
+  fetched_at: { sql: "COALESCE(q.fetched_at, '')", dir: 'desc' },
+  lead_score: { sql: 'q.lead_score', dir: 'desc' },
+  relevance: { sql: '(SELECT rank FROM permits_fts WHERE permits_fts MATCH ? AND rowid = (SELECT rowid FROM permits WHERE id = q.id))', dir: 'asc' },
+};
+const DEFAULT_SORT = 'date,value';
+const DEFAULT_SEARCH_SORT = 'relevance,date';
+const MAX_PAGE = 500;
+
+// Turns a q= search into an FTS5 query. Phrases ("parking garage"), prefixes
+// (multifam*), AND / OR / NOT and parentheses pass through; any other word with
+// punctuation FTS5 would reject (multi-family, 1200-B) is quoted as a phrase.
+function ftsQuery(q) {
+  const tokens = String(q || '').match(/"[^"]*"?|[()]|[^\s()"]+/g) || [];
+  return tokens.map((t) => {
+    if (t.startsWith('"')) return t.length > 1 && t.endsWith('"') ? t : `${t}"`;
+    if (/^(AND|OR|NOT|\(|\))$/.test(t)) return t;
+    const prefix = t.endsWith('*');
+    const word = prefix ? t.slice(0, -1) : t;
+    if (!word) return '';
+    return (/^\w+$/.test(word) ? word : `"${word}"`) + (prefix ? '*' : '');
+  }).filter(Boolean).join(' ');
+}
+
+// Params that narrow the result set (as opposed to limit/paging)
+const FILTER_PARAMS = [
+  'q', 'city', 'type', 'category', 'contractor', 'min_value', 'max_value', 'days', 'date_from', 'date_to', 'zip', 'risk',
+  'changed', 'change', 'value_jump', 'lat', 'lng', 'radius_miles', 'rising_risk', 'stage', 'active_on',
+];
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 500;
+
+// A real calendar day: 2024-02-30 parses, but comes back as March 1st
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().startsWith(value);
+
+// active_on=today or YYYY-MM-DD → the date, else null
+function activeOnDate(value) {
+  if (value === 'today') return new Date().toISOString().slice(0, 10);
+  return isDate(value) ? value : null;
+}
+
+const given = (v) => v !== undefined && v !== null && v !== '';
+const numberOf = (v) => (typeof v === 'number' || /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(v) ? Number(v) : NaN);
+const wholeOf = (v) => (/^\s*\d+\s*$/.test(String(v)) ? parseInt(v) : NaN);
+
+// Rows per page: limit (default 100) kept between 1 and MAX_PAGE
+const pageLimit = (limit) => Math.min(Math.max(parseInt(limit) || 100, 1), MAX_PAGE);
+
+// Returns an error message for a malformed date, number, radius or limit param, else null
+function filterError(query) {
+  for (const k of ['min_value', 'max_value']) if (given(query[k]) && !(numberOf(query[k]) >= 0)) return `${k} must be a number, 0 or more`;
+  for (const k of ['days', 'changed', 'limit']) if (given(query[k]) && !(wholeOf(query[k]) >= 1)) return `${k} must be a whole number, 1 or more`;
+  if (given(query.value_jump) && !(numberOf(query.value_jump) > 0)) return 'value_jump must be a number above 0';
+  if (query.active_on && !activeOnDate(query.active_on)) return 'active_on must be a real YYYY-MM-DD date or today';
+  for (const k of ['date_from', 'date_to']) if (query[k] && !isDate(query[k])) return `${k} must be a real YYYY-MM-DD date`;
+  if (given(query.lat) || given(query.lng) || given(query.radius_miles)) {
+    if (!given(query.lat) || !given(query.lng)) return 'lat and lng are both required for a radius search';
+    const lat = numberOf(query.lat), lng = numberOf(query.lng);
+    if (!(Math.abs(lat) <= 90)) return 'lat must be a number between -90 and 90';
+    if (!(Math.abs(lng) <= 180)) return 'lng must be a number between -180 and 180';
+    const miles = numberOf(query.radius_miles);
+    if (given(query.radius_miles) && !(miles > 0 && miles <= MAX_RADIUS_MILES)) {
+      return `radius_miles must be a number above 0 and at most ${MAX_RADIUS_MILES}`;
+    }
+  }
+  return null;
+}
+
+const listOf = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+const placeholders = (list) => list.map(() => '?').join(', ');
+
+// Center + radius when lat/lng are both given and valid, else null
+function radiusOf(query) {
+  const lat = parseFloat(query.lat), lng = parseFloat(query.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { lat, lng, miles: parseFloat(query.radius_miles) || DEFAULT_RADIUS_MILES };
+}
+
+function permitFilters(query, scope = null) {
+  const {
+    q, city, type, category, stage, contractor, min_value, max_value, days, date_from, date_to, zip, risk, rising_risk, active_on,
+    changed, change, value_jump,
+  } = query;
+  let sql = '';
+  const params = [];
+  if (q && ftsQuery(q)) { sql += ' AND p.rowid IN (SELECT rowid FROM permits_fts WHERE permits_fts MATCH ?)'; params.push(ftsQuery(q)); }
+  if (city) {
+    const cities = listOf(city).map(c => c.toLowerCase());
+    sql += ` AND p.city IN (${placeholders(cities)})`;
+    params.push(...cities);
+  }
+  if (type) { sql += ' AND p.permit_type LIKE ?'; params.push(`%${type}%`); }
+  if (category) {
+    const cats = listOf(category);
+    sql += ` AND p.category IN (${placeholders(cats)})`;
+    params.push(...cats);
+  }
+  // Contractor entity ID, or a name resolved to its entity key
+  if (contractor) {
+    sql += /^\d+$/.test(contractor)
+      ? ' AND p.id IN (SELECT permit_id FROM permit_contractors WHERE contractor_id = ?)'
+      : ' AND p.id IN (SELECT pc.permit_id FROM permit_contractors pc JOIN contractors c ON c.id = pc.contractor_id WHERE c.name_key = ?)';
+    params.push(/^\d+$/.test(contractor) ? parseInt(contractor) : contractorKey(contractor));
+  }
+  if (stage) {
+    const stages = listOf(stage);
+    sql += ` AND p.stage IN (${placeholders(stages)})`;
+    params.push(...stages);
+  }
+  // Likely on site that day: issued on or before it, not yet past active_until
+  const activeOn = activeOnDate(active_on);
+  if (activeOn) { sql += ' AND p.permit_date <= ? AND p.active_until >= ?'; params.push(activeOn, activeOn); }
+  if (min_value) { sql += ' AND p.estimated_value >= ?'; params.push(parseFloat(min_value)); }
+  if (max_value) { sql += ' AND p.estimated_value <= ?'; params.push(parseFloat(max_value)); }
+  if (zip) {
+    const zips = listOf(zip);
+    sql += ` AND p.zip_code IN (${placeholders(zips)})`;
+    params.push(...zips);
+  }
+  if (days) { sql += ` AND p.permit_date >= date('now', '-${parseInt(days)} days')`; }
+  if (isDate(date_from)) { sql += ' AND p.permit_date >= ?'; params.push(date_from); }
+  if (isDate(date_to)) { sql += ' AND p.permit_date <= ?'; params.push(date_to); }
+  if (risk === 'high') { sql += ` AND COALESCE(a.risk_level, r.risk_level) = 'HIGH'`; }
+  else if (risk === 'medium') { sql += ` AND COALESCE(a.risk_level, r.risk_level) IN ('HIGH','MEDIUM')`; }
+  if (rising_risk && rising_risk !== 'false' && rising_risk !== '0') { sql += ` AND IIF(a.geo_id IS NULL, r.trend, a.trend) = 'rising'`; }
+  // Recently changed: any tracked change in the last `changed` days, optionally only
+  // one kind (change=status|value|contractor) or a value revised up by `value_jump`x
+  if (changed || value_jump) {
+    sql += ` AND EXISTS (SELECT 1 FROM permit_events e WHERE e.permit_id = p.id AND e.changed_at >= datetime('now', ?)`;
+    params.push(`-${parseInt(changed) || 30} days`);
+    const field = { status: 'status', value: 'estimated_value', contractor: 'contractor_name' }[change];
+    if (field) { sql += ' AND e.field = ?'; params.push(field); }
+    if (value_jump) {
+      sql += ` AND e.field = 'estimated_value' AND CAST(e.old_value AS REAL) > 0 AND CAST(e.new_value AS REAL) >= CAST(e.old_value AS REAL) * ?`;
+      params.push(parseFloat(value_jump));
+    }
+    sql += ')';
+  }
+  // Radius: bounding box uses the lat/lng index, distance_miles() trims the corners
+  const radius = radiusOf(query);
+  if (radius) {
+    const dLat = radius.miles / 69;
+    const dLng = radius.miles / (69 * Math.max(0.01, Math.cos(radius.lat * Math.PI / 180)));
+    sql += ' AND p.latitude BETWEEN ? AND ? AND p.longitude BETWEEN ? AND ? AND distance_miles(?, ?, p.latitude, p.longitude) <= ?';
+    params.push(radius.lat - dLat, radius.lat + dLat, radius.lng - dLng, radius.lng + dLng, radius.lat, radius.lng, radius.miles);
+  }
+  // A signed-in user's territory (accounts/), always on top of the request's own filters
+  if (scope) { sql += scope.sql; params.push(...scope.params); }
+  return { sql, params };
+}
+
+// Adds distance_miles to each row for radius searches
+function withDistance(rows, query) {
+  const radius = radiusOf(query);
+  if (!radius) return rows;
+  return rows.map(r => ({ ...r, distance_miles: Math.round(distanceMiles(radius.lat, radius.lng, r.latitude, r.longitude) * 10) / 10 }));
+}
+
+// Parses ?sort=field[:asc|desc],… into { spec, keys, params }, or null when a field
+// or direction is unknown. Searches (q=) default to relevance, everything else to
+// newest first; ties always break on id.
+function permitOrder(query) {
+  const search = query.q && ftsQuery(query.q);
+  const keys = [];
+  for (const part of listOf(query.sort || (search ? DEFAULT_SEARCH_SORT : DEFAULT_SORT))) {
+    const [field, dir = SORT_FIELDS[field] && SORT_FIELDS[field].dir] = part.split(':');
+    if (!SORT_FIELDS[field] || !['asc', 'desc'].includes(dir) || (field === 'relevance' && !search)) return null;
+    keys.push({ field, dir, sql: SORT_FIELDS[field].sql });
+  }
+  if (!keys.length) return null;
+  return {
+    spec: keys.map(k => `${k.field}:${k.dir}`).join(','), keys,
+    params: keys.filter(k => k.field === 'relevance').map(() => search),
+  };
+}
+
+// A pageQuery row's sort keys and id: what the next page resumes after
+const cursorKeys = (order, row) => [...order.keys.map((_, i) => row[`sort_${i}`]), row.id];
+
+// Cursors are opaque to clients: the sort spec plus the last row's cursorKeys
+function encodeCursor(order, row) {
+  return Buffer.from(JSON.stringify({ sort: order.spec, keys: cursorKeys(order, row) })).toString('base64url');
+}
+
+// The cursor's keys, or null when it's malformed or was issued for another sort
+function decodeCursor(cursor, order) {
+  try {
+    const { sort, keys } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return sort === order.spec && Array.isArray(keys) && keys.length === order.keys.length + 1 ? keys : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// One page of /permits: PERMIT_SELECT + filters, each row carrying its sort keys
+// (sort_0, sort_1, …), resumed after the `after` keys (decodeCursor). Fetches
+// limit + 1 rows so the caller can tell whether another page follows.
+function pageQuery({ profile, filters, order, after, limit }) {
+  let sql = `
+    SELECT * FROM (SELECT q.*, ${order.keys.map((k, i) => `${k.sql} as sort_${i}`).join(', ')}
+      FROM (${PERMIT_SELECT}${filters.sql}) q) WHERE 1=1`;
+  const params = [...order.params, profile, ...filters.params];
+  if (after) {
+    // (k0, k1, …, id) past the cursor, each key in its own direction
+    const cols = [...order.keys.map((k, i) => [`sort_${i}`, k.dir]), ['id', 'asc']];
+    let clause = '';
+    for (let i = cols.length - 1; i >= 0; i--) {
+      const [col, dir] = cols[i];
+      const past = `${col} ${dir === 'asc' ? '>' : '<'} ?`;
+      clause = clause ? `(${past} OR (${col} = ? AND ${clause}))` : past;
+    }
+    sql += ` AND ${clause}`;
+    after.forEach((key, i) => params.push(...(i < after.length - 1 ? [key, key] : [key])));
+  }
+  sql += ` ORDER BY ${order.keys.map((k, i) => `sort_${i} ${k.dir.toUpperCase()}`).join(', ')}, id LIMIT ?`;
+  params.push(pageLimit(limit) + 1);
+  return { sql, params };
+}
+
+// Drops the sort_N keys pageQuery adds
+function withoutSortKeys(rows) {
+  return rows.map(r => Object.fromEntries(Object.entries(r).filter(([k]) => !/^sort_\d+$/.test(k))));
+}
+
+// Keeps only the ?fields= columns of each row
+function withFields(rows, fields) {
+  if (!fields) return rows;
+  return rows.map(r => Object.fromEntries(fields.map(f => [f, r[f] ?? null])));
+}
+
+// Parses the stored risk factor breakdown joined onto each permit
+function withRiskFactors(rows) {
+  return rows.map(r => ({ ...r, risk_factors: r.risk_factors ? JSON.parse(r.risk_factors) : null }));
+}
+
+// Snippets are HTML: the feed's text escaped, then matches wrapped in <mark>.
+// FTS marks them with control characters first so feed text can't supply tags.
+const MARK_OPEN = '\u0002', MARK_CLOSE = '\u0003';
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const snippetHtml = (s) => s.replace(/[&<>"']/g, c => HTML_ESCAPES[c])
+  .replaceAll(MARK_OPEN, '<mark>').replaceAll(MARK_CLOSE, '</mark>');
+
+// Adds a highlighted `snippet` (matches wrapped in <mark>) to each row of a q= search
+function withSnippets(rows, query) {
+  const search = query.q && ftsQuery(query.q);
+  if (!search || !rows.length) return rows;
+  const snippets = new Map(db.prepare(`
+    SELECT p.id, snippet(permits_fts, -1, ?, ?, '…', 16) as snippet
+    FROM permits_fts JOIN permits p ON p.rowid = permits_fts.rowid
+    WHERE permits_fts MATCH ? AND p.id IN (${rows.map(() => '?').join(', ')})
+  `).all(MARK_OPEN, MARK_CLOSE, search, ...rows.map(r => r.id)).map(r => [r.id, snippetHtml(r.snippet)]));
+  return rows.map(r => ({ ...r, snippet: snippets.get(r.id) || null }));
+}
+
+// Keeps only recognised, non-empty filter params (for storing saved searches)
+function pickFilters(query) {
+  const out = {};
+  for (const k of FILTER_PARAMS) {
+    if (query[k] !== undefined && query[k] !== null && query[k] !== '') out[k] = String(query[k]);
+  }
+  return out;
+}
+
+module.exports = {
+  PERMIT_SELECT, PERMIT_COUNT, PERMIT_FIELDS, RISK_AREA_JOIN, SORT_FIELDS, FILTER_PARAMS, MAX_PAGE, activeOnDate, cursorKeys, decodeCursor, encodeCursor,
+  MAX_RADIUS_MILES, filterError, ftsQuery, listOf, pageLimit, pageQuery, permitFilters, permitOrder, pickFilters, withDistance, withFields, withoutSortKeys, withRiskFactors,
+  withSnippets,
+};
@@ -0,0 +1,189 @@
+const db = require('../db');
+const { addressKey, distanceMiles } = require('../geo');
+const { PERMIT_SELECT, RISK_AREA_JOIN, pageLimit, permitFilters, withRiskFactors } = require('../permit-query');
+
+// ─── Project Grouping ─────────────────────────────────────────────
+// One job often pulls many permits (building, electrical, plumbing, mechanical,
+// fire sprinkler) and feeds list each one separately. groupProjects() clusters
+// permits into projects. Two permits in the same city are linked when they are
+// within PROJECT_WINDOW_DAYS of each other and:
+//   - share a parcel number, or
+//   - share a normalized address (geo.addressKey), or
+//   - share a primary contractor and sit within PROJECT_RADIUS_MILES (real coordinates only)
+// Links chain, so one project can span several addresses on a site. Every permit
+// belongs to exactly one project (most to a project of one) through permits.project_id.
+// A project's id is its earliest permit's id; it is on site until its last permit's active_until.
+
+const PROJECT_WINDOW_DAYS = 180;
+const PROJECT_RADIUS_MILES = 0.1;
+const MILES_PER_DEGREE_LAT = 69;
+
+const dayOf = (date) => { const t = Date.parse(date); return isNaN(t) ? null : t / 86400000; };
+const nearInTime = (a, b) => a.day == null || b.day == null || Math.abs(a.day - b.day) <= PROJECT_WINDOW_DAYS;
+const parcelKey = (parcel) => String(parcel || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function unionFind(n) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => { while (parent[i] !== i) { parent[i] = parent[parent[i]]; i = parent[i]; } return i; };
+  return { find, union: (a, b) => { a = find(a); b = find(b); if (a !== b) parent[b] = a; } };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups.values();
+}
+
+// Links date-sorted permits that share a key, chaining across gaps up to the window
+function linkRuns(groups, sets) {
+  for (const group of groups) {
+    group.sort((a, b) => (a.day ?? -Infinity) - (b.day ?? -Infinity));
+    for (let i = 1; i < group.length; i++) if (nearInTime(group[i - 1], group[i])) sets.union(group[i - 1].i, group[i].i);
+  }
+}
+
+// Same contractor, close together: sweep each contractor's permits by latitude
+function linkNearby(groups, sets) {
+  const span = PROJECT_RADIUS_MILES / MILES_PER_DEGREE_LAT;
+  for (const group of groups) {
+    group.sort((a, b) => a.latitude - b.latitude);
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length && group[j].latitude - group[i].latitude <= span; j++) {
+        const a = group[i], b = group[j];
+        if (nearInTime(a, b) && distanceMiles(a.latitude, a.longitude, b.latitude, b.longitude) <= PROJECT_RADIUS_MILES) sets.union(a.i, b.i);
+      }
+    }
+  }
+}
+
+// Aggregates one cluster. The highest-value permit gives the address and category.
+// Permits that look like one permit listed twice (same type, value and date) count
+// once toward total_value.
+function summarize(permits) {
+  const byDate = [...permits].sort((a, b) => (a.permit_date || '9999').localeCompare(b.permit_date || '9999') || a.id.localeCompare(b.id));
+  const main = [...permits].sort((a, b) => (b.estimated_value || 0) - (a.estimated_value || 0))[0];
+  const seen = new Set();
+  let total = 0, duplicates = 0;
+  for (const p of permits) {
+    const key = `${String(p.permit_type).toLowerCase()}|${p.estimated_value}|${p.permit_date}`;
+    if (seen.has(key)) { duplicates++; continue; }
+    seen.add(key);
+    total += p.estimated_value || 0;
+  }
+  const dates = byDate.map(p => p.permit_date).filter(Boolean);
+  const located = permits.find(p => p.geo_source === 'source' || p.geo_source === 'address') || main;
+  const activeUntil = permits.map(p => p.active_until).filter(Boolean).sort().pop() || null;
+  return {
+    id: byDate[0].id, city: main.city, address: main.address, zip_code: main.zip_code, parcel: main.parcel || null,
+    latitude: located.latitude, longitude: located.longitude,
+    permit_count: permits.length, duplicate_permits: duplicates, total_value: total,
+    first_date: dates[0] || null, last_date: dates[dates.length - 1] || null, active_until: activeUntil,
+    categories: [...new Set(permits.map(p => p.category).filter(Boolean))].sort().join(','), primary_category: main.category,
+  };
+}
+
+// Regroups every stored permit. Returns { projects, multi } (multi = projects of 2+ permits).
+function groupProjects() {
+  const permits = db.prepare(`
+    SELECT p.id, p.city, p.address, p.parcel, p.permit_type, p.category, p.estimated_value, p.permit_date, p.zip_code,
+      p.latitude, p.longitude, p.geo_source, p.project_id, p.active_until,
+      (SELECT contractor_id FROM permit_contractors pc WHERE pc.permit_id = p.id ORDER BY position LIMIT 1) as contractor_id
+    FROM permits p
+  `).all();
+  permits.forEach((p, i) => { p.i = i; p.day = dayOf(p.permit_date); });
+  const sets = unionFind(permits.length);
+  linkRuns(groupBy(permits, p => parcelKey(p.parcel) && `${p.city}|${parcelKey(p.parcel)}`), sets);
+  linkRuns(groupBy(permits, p => addressKey(p.address) && `${p.city}|${addressKey(p.address)}`), sets);
+  linkNearby(groupBy(permits, p => p.contractor_id && (p.geo_source === 'source' || p.geo_source === 'address')
+    ? `${p.city}|${p.contractor_id}` : null), sets);
+
+  const clusters = new Map();
+  for (const p of permits) {
+    const root = sets.find(p.i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(p);
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO projects (id, city, address, zip_code, parcel, latitude, longitude, permit_count, duplicate_permits,
+      total_value, first_date, last_date, active_until, categories, primary_category)
+    VALUES (@id, @city, @address, @zip_code, @parcel, @latitude, @longitude, @permit_count, @duplicate_permits,
+      @total_value, @first_date, @last_date, @active_until, @categories, @primary_category)
+  `);
+  const assign = db.prepare('UPDATE permits SET project_id = ? WHERE id = ?');
+  let multi = 0;
+  db.transaction(() => {
+    db.prepare('DELETE FROM projects').run();
+    for (const members of clusters.values()) {
+      const project = summarize(members);
+      insert.run(project);
+      if (members.length > 1) multi++;
+      for (const p of members) if (p.project_id !== project.id) assign.run(project.id, p.id);
+    }
+  })();
+  return { projects: clusters.size, multi };
+}
+
+// ─── Project Queries ──────────────────────────────────────────────
+const PROJECT_SORTS = {
+  value: 'pr.total_value DESC',
+  permits: 'pr.permit_count DESC, pr.total_value DESC',
+  recent: 'pr.last_date DESC',
+};
+const MAX_LISTED_PERMITS = 50;
+
+// Lists the project's permits and contractors (only those inside `scope`, when given)
+function withPermits(project, scope = null) {
+  const within = scope ? scope.sql : '', params = scope ? scope.params : [];
+  const permits = db.prepare(`
+    SELECT p.id, p.address, p.permit_type, p.category, p.stage, p.estimated_value, p.permit_date, p.status, p.contractor_name, p.active_until
+    FROM permits p WHERE p.project_id = ?${within} ORDER BY p.estimated_value DESC, p.permit_date LIMIT ?
+  `).all(project.id, ...params, MAX_LISTED_PERMITS);
+  const contractors = db.prepare(`
+    SELECT DISTINCT c.id, c.name FROM permits p
+    JOIN permit_contractors pc ON pc.permit_id = p.id JOIN contractors c ON c.id = pc.contractor_id
+    WHERE p.project_id = ?${within} ORDER BY c.name
+  `).all(project.id, ...params);
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    ...project, categories: project.categories ? project.categories.split(',') : [],
+    active_now: !!project.active_until && project.first_date <= today && project.active_until >= today, contractors, permits,
+  };
+}
+
+// Projects with at least one permit matching the /permits filters (and `scope`).
+// Also: min_permits, min_total_value, sort (value | permits | recent), limit.
+function listProjects(query, scope = null) {
+  const { min_permits, min_total_value, sort = 'value', limit = 100 } = query;
+  const filters = permitFilters(query, scope);
+  let sql = `
+    SELECT pr.* FROM projects pr WHERE pr.id IN (
+      SELECT p.project_id FROM permits p LEFT JOIN risk_scores r ON p.zip_code = r.zip_code ${RISK_AREA_JOIN}
+      WHERE 1=1${filters.sql}
+    )`;
+  const params = [...filters.params];
+  if (min_permits) { sql += ' AND pr.permit_count >= ?'; params.push(parseInt(min_permits)); }
+  if (min_total_value) { sql += ' AND pr.total_value >= ?'; params.push(parseFloat(min_total_value)); }
+  sql += ` ORDER BY ${PROJECT_SORTS[sort] || PROJECT_SORTS.value}, pr.id LIMIT ?`;
+  params.push(pageLimit(limit));
+  return db.prepare(sql).all(...params).map(pr => withPermits(pr, scope));
+}
+
+// One project with its full permit rows (as /permits returns them, scored for `profile`).
+// With a `scope`, only the permits inside it are listed, and a project with none is not found.
+function getProject(id, profile, scope = null) {
+  const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(id);
+  if (!project) return null;
+  const within = scope ? scope.sql : '', params = scope ? scope.params : [];
+  const permits = withRiskFactors(db.prepare(PERMIT_SELECT + ` AND p.project_id = ?${within} ORDER BY p.estimated_value DESC, p.permit_date`)
+    .all(profile, id, ...params));
+  if (scope && !permits.length) return null;
+  return { ...withPermits(project, scope), permits };
+}
+
+module.exports = { PROJECT_SORTS, groupProjects, listProjects, getProject };
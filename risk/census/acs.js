@@ -0,0 +1,29 @@
+// ─── ACS Inputs ───────────────────────────────────────────────────
+// The ACS 5-year variables behind the Census risk factors, shared by every provider:
+//   B17001  poverty status (002E below poverty / 001E total) → poverty_rate
+//   B25037  median year structure built                      → median_build_year
+//   B01003  total population (per-capita incident rates)     → population
+// B17001 isn't published below tract level, so a block group takes its tract's poverty_rate.
+
+// CENSUS_VINTAGE pins the vintage; unset, scoring uses the newest imported one, or
+// DEFAULT_VINTAGE from the API when none has been imported
+const VINTAGE = parseInt(process.env.CENSUS_VINTAGE) || null;
+const DEFAULT_VINTAGE = 2022;
+const VARIABLES = ['B17001_002E', 'B17001_001E', 'B25037_001E', 'B01003_001E'];
+const BLOCK_GROUP_VARIABLES = ['B25037_001E', 'B01003_001E'];
+
+// ACS marks missing estimates with large negative sentinels (-666666666)
+const estimate = (v) => { const n = parseFloat(v); return n >= 0 ? n : null; };
+
+// { B17001_002E: '1200', ... } → { poverty_rate, median_build_year, population }.
+// `tract` supplies poverty_rate for a block group.
+function inputsOf(values, tract) {
+  const poor = estimate(values.B17001_002E), total = estimate(values.B17001_001E);
+  return {
+    poverty_rate: tract ? tract.poverty_rate : total > 0 && poor != null ? (poor / total) * 100 : null,
+    median_build_year: estimate(values.B25037_001E) || null,
+    population: estimate(values.B01003_001E),
+  };
+}
+
+module.exports = { VINTAGE, DEFAULT_VINTAGE, VARIABLES, BLOCK_GROUP_VARIABLES, estimate, inputsOf };
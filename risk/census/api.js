@@ -0,0 +1,64 @@
+const axios = require('axios');
+const { VARIABLES, BLOCK_GROUP_VARIABLES, inputsOf } = require('./acs');
+
+// ─── Census ACS (live API) ────────────────────────────────────────
+// Queries api.census.gov (or CENSUS_API_URL) on every scoring run: ZCTAs in
+// batches, tracts and block groups per county.
+
+const API_URL = process.env.CENSUS_API_URL || 'https://api.census.gov/data';
+const acsUrl = (vintage) => `${API_URL}/${vintage}/acs/acs5`;
+const BATCH = 50;
+
+const pause = () => new Promise(r => setTimeout(r, 200));
+
+// Response rows as { variable: value, ... } plus the trailing geography columns joined as `geoid`
+async function acsRows(vintage, variables, params) {
+  const res = await axios.get(acsUrl(vintage), { params: { get: variables.join(','), ...params }, timeout: 15000 });
+  return res.data.slice(1).map(row => ({
+    ...Object.fromEntries(variables.map((v, i) => [v, row[i]])),
+    geoid: row.slice(variables.length).join(''),
+  }));
+}
+
+// A failed batch is logged and its ZIPs left out
+async function fetchAcs(zips, vintage) {
+  const rows = new Map();
+  for (let i = 0; i < zips.length; i += BATCH) {
+    const batch = zips.slice(i, i + BATCH).join(',');
+    try {
+      for (const row of await acsRows(vintage, VARIABLES, { for: `zip code tabulation area:${batch}` })) {
+        rows.set(row.geoid, inputsOf(row));
+      }
+      console.log(`[risk] Census batch ${Math.floor(i / BATCH) + 1} fetched`);
+      await pause();
+    } catch (err) {
+      console.error('[risk] Census error:', err.message);
+    }
+  }
+  return { vintage: `acs5-${vintage}`, rows };
+}
+
+// A failed county is logged and left out
+async function fetchAcsAreas(level, counties, vintage) {
+  const rows = new Map();
+  for (const county of counties) {
+    const scope = `state:${county.slice(0, 2)} county:${county.slice(2)}`;
+    try {
+      for (const row of await acsRows(vintage, VARIABLES, { for: 'tract:*', in: scope })) {
+        rows.set(row.geoid, inputsOf(row));
+      }
+      if (level === 'block_group') {
+        for (const row of await acsRows(vintage, BLOCK_GROUP_VARIABLES, { for: 'block group:*', in: `${scope} tract:*` })) {
+          rows.set(row.geoid, inputsOf(row, rows.get(row.geoid.slice(0, 11)) || { poverty_rate: null }));
+        }
+      }
+      console.log(`[risk] Census ${level} data for county ${county} fetched`);
+      await pause();
+    } catch (err) {
+      console.error(`[risk] Census error (county ${county}):`, err.message);
+    }
+  }
+  return { vintage: `acs5-${vintage}`, rows };
+}
+
+module.exports = { name: 'api', fetchAcs, fetchAcsAreas };
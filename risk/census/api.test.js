@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// A Census data API stub: rows per geography, and `failing` ZCTAs whose batch gets a 500
+const ZCTAS = {
+  78701: ['1000', '5000', '1985', '6000'],
+  78702: ['200', '0', '-666666666', '-666666666'],
+  78755: ['10', '100', '2001', '150'],
+};
+const TRACTS = { '001100': ['300', '1200', '1972', '2500'], '001200': ['50', '1000', '1999', '1800'] };
+const BLOCK_GROUPS = { '0011001': ['1968', '900'], '0011002': ['1975', '1600'], '0012001': ['-666666666', '1800'] };
+const failing = new Set(['78755']);
+const requests = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stub');
+  const get = url.searchParams.get('get').split(','), geo = url.searchParams.get('for'), within = url.searchParams.get('in');
+  requests.push({ path: url.pathname, get, geo, within });
+  res.setHeader('content-type', 'application/json');
+  if (geo.startsWith('zip code tabulation area:')) {
+    const zips = geo.split(':')[1].split(',');
+    if (zips.some(z => failing.has(z))) { res.statusCode = 500; return res.end('{}'); }
+    return res.end(JSON.stringify([[...get, 'zip code tabulation area'], ...zips.filter(z => ZCTAS[z]).map(z => [...ZCTAS[z], z])]));
+  }
+  const [state, county] = within.match(/state:(\d+) county:(\d+)/).slice(1);
+  if (geo === 'tract:*') {
+    return res.end(JSON.stringify([[...get, 'state', 'county', 'tract'], ...Object.entries(TRACTS).map(([t, v]) => [...v, state, county, t])]));
+  }
+  res.end(JSON.stringify([
+    [...get, 'state', 'county', 'tract', 'block group'],
+    ...Object.entries(BLOCK_GROUPS).map(([bg, v]) => [...v, state, county, bg.slice(0, 6), bg.slice(6)]),
+  ]));
+});
+
+let api;
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.CENSUS_API_URL = `http://127.0.0.1:${server.address().port}/data`;
+  api = require('./api');
+});
+test.after(() => server.close());
+
+test('ZCTA batches parse into risk inputs, and a failed batch is left out', async () => {
+  const zips = Array.from({ length: 60 }, (_, i) => String(78700 + i));
+  requests.length = 0;
+  const { vintage, rows } = await api.fetchAcs(zips, 2022);
+  assert.strictEqual(vintage, 'acs5-2022');
+  assert.deepStrictEqual(requests.map(r => [r.path, r.geo.split(',').length]), [['/data/2022/acs/acs5', 50], ['/data/2022/acs/acs5', 10]]);
+  assert.deepStrictEqual(requests[0].get, ['B17001_002E', 'B17001_001E', 'B25037_001E', 'B01003_001E']);
+  assert.deepStrictEqual([...rows.keys()].sort(), ['78701', '78702']);
+  assert.deepStrictEqual(rows.get('78701'), { poverty_rate: 20, median_build_year: 1985, population: 6000 });
+  // No people counted and the -666666666 "no estimate" sentinel both come back as null
+  assert.deepStrictEqual(rows.get('78702'), { poverty_rate: null, median_build_year: null, population: null });
+});
+
+test('block groups take their tract\'s poverty rate', async () => {
+  requests.length = 0;
+  const { rows } = await api.fetchAcsAreas('block_group', ['48453'], 2021);
+  assert.deepStrictEqual(requests.map(r => [r.geo, r.within]), [['tract:*', 'state:48 county:453'], ['block group:*', 'state:48 county:453 tract:*']]);
+  assert.deepStrictEqual(rows.get('48453001100'), { poverty_rate: 25, median_build_year: 1972, population: 2500 });
+  assert.deepStrictEqual(rows.get('484530011002'), { poverty_rate: 25, median_build_year: 1975, population: 1600 });
+  assert.deepStrictEqual(rows.get('484530012001'), { poverty_rate: 5, median_build_year: null, population: 1800 });
+  assert.strictEqual(rows.size, 5);
+});
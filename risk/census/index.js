@@ -0,0 +1,50 @@
+const { VINTAGE, DEFAULT_VINTAGE } = require('./acs');
+const api = require('./api');
+const local = require('./local');
+
+// ─── Census Data Providers ────────────────────────────────────────
+// A provider resolves fetchAcs(zips, vintage) and fetchAcsAreas(level, counties,
+// vintage) to { vintage, rows: Map<zip or GEOID, { poverty_rate, median_build_year, population }> }:
+//   api    live api.census.gov queries on every scoring run
+//   local  ACS summary tables imported once with `npm run import-census`
+// The vintage is CENSUS_VINTAGE, else the newest one imported. CENSUS_PROVIDER
+// picks a provider. Unset, local is used when that vintage has been imported and
+// api otherwise.
+
+const PROVIDERS = { api, local };
+if (process.env.CENSUS_PROVIDER && !PROVIDERS[process.env.CENSUS_PROVIDER]) {
+  throw new Error(`CENSUS_PROVIDER must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+const vintage = () => VINTAGE || local.newestVintage() || DEFAULT_VINTAGE;
+
+function provider(v) {
+  return PROVIDERS[process.env.CENSUS_PROVIDER] || (local.hasVintage(v) ? local : api);
+}
+
+// Picks the vintage and provider for one scoring run
+function source() {
+  const v = vintage();
+  const p = provider(v);
+  const newest = local.newestVintage();
+  if (p === api && newest) console.warn(`[risk] CENSUS_VINTAGE ${v} hasn't been imported (newest imported: ${newest}) — using the Census API`);
+  console.log(`[risk] Census ACS ${v} inputs from ${p.name}`);
+  return { p, v };
+}
+
+async function fetchAcs(zips) {
+  const { p, v } = source();
+  return p.fetchAcs(zips, v);
+}
+
+async function fetchAcsAreas(level, counties) {
+  const { p, v } = source();
+  return p.fetchAcsAreas(level, counties, v);
+}
+
+function describe() {
+  const v = vintage();
+  return { provider: provider(v).name, vintage: v, imported: local.listVintages() };
+}
+
+module.exports = { fetchAcs, fetchAcsAreas, describe, importCensus: local.importCensus, vintageOf: local.vintageOf };
@@ -0,0 +1,108 @@
+const db = require('../../db');
+const { readCsv } = require('../../csv');
+const { VARIABLES, inputsOf } = require('./acs');
+
+// ─── Census ACS (local bulk files) ────────────────────────────────
+// ACS summary-table CSVs imported once into census_estimates, so scoring needs no
+// network and gives the same inputs on every run. Takes data.census.gov table
+// downloads (GEO_ID like "860Z200US78701", "1400000US48453001100") and
+// api.census.gov-style exports (`zip code tabulation area` or state/county/tract
+// columns). Only the variables the risk factors use are kept.
+
+const SUMMARY_LEVELS = { '860': 'zip', '140': 'tract', '150': 'block_group' };
+const GEOID_LENGTHS = { zip: 5, tract: 11, block_group: 12 };
+
+// One CSV row → [geo_type, geo_id] or null
+function geographyOf(row) {
+  let geo = null;
+  const geoId = row.GEO_ID || row.GEOID || row.geo_id || row.geoid;
+  if (geoId) {
+    const m = geoId.match(/^(\d{3})[0-9A-Z]*US(\d+)$/);
+    const type = m ? SUMMARY_LEVELS[m[1]] : Object.keys(GEOID_LENGTHS).find(t => GEOID_LENGTHS[t] === geoId.length);
+    geo = type && [type, m ? m[2] : geoId];
+  } else if (row['zip code tabulation area']) {
+    geo = ['zip', row['zip code tabulation area']];
+  } else if (row.state && row.county && row.tract) {
+    const tract = row.state + row.county + row.tract;
+    geo = row['block group'] ? ['block_group', tract + row['block group']] : ['tract', tract];
+  }
+  return geo && /^\d+$/.test(geo[1]) && geo[1].length === GEOID_LENGTHS[geo[0]] ? geo : null;
+}
+
+// "ACSDT5Y2022.B17001-Data.csv" → 2022
+function vintageOf(file) {
+  const m = String(file).match(/ACS\w*?(20\d{2})/i);
+  return m ? parseInt(m[1]) : null;
+}
+
+// Imports summary-table CSVs as one vintage. Re-importing a geography's variable replaces it.
+async function importCensus(files, vintage) {
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO census_estimates (vintage, geo_type, geo_id, variable, value) VALUES (?, ?, ?, ?, ?)
+  `);
+  const flush = db.transaction((batch) => { for (const b of batch) insert.run(...b); });
+  let batch = [], values = 0, skipped = 0;
+  const variables = new Set();
+  for (const file of files) {
+    for await (const row of readCsv(file)) {
+      const geo = geographyOf(row);
+      const present = VARIABLES.filter(v => row[v] !== undefined && row[v] !== '' && !isNaN(parseFloat(row[v])));
+      if (!geo || !present.length) { skipped++; continue; }
+      for (const v of present) {
+        batch.push([vintage, ...geo, v, parseFloat(row[v])]);
+        variables.add(v);
+      }
+      if (batch.length >= 5000) { flush(batch); values += batch.length; batch = []; }
+    }
+  }
+  flush(batch);
+  values += batch.length;
+  return { vintage, values, variables: [...variables].sort(), skipped };
+}
+
+// { geo_id: { variable: value } } for one geography level, limited by `where`
+function estimates(vintage, geoType, where, list) {
+  const rows = db.prepare(`
+    SELECT geo_id, variable, value FROM census_estimates
+    WHERE vintage = ? AND geo_type = ? AND ${where} IN (SELECT value FROM json_each(?))
+  `).all(vintage, geoType, JSON.stringify(list));
+  const out = new Map();
+  for (const r of rows) {
+    if (!out.has(r.geo_id)) out.set(r.geo_id, {});
+    out.get(r.geo_id)[r.variable] = r.value;
+  }
+  return out;
+}
+
+function warnIfEmpty(rows, what, vintage) {
+  if (!rows.size) console.warn(`[risk] No local Census ${what} data for vintage ${vintage} — run npm run import-census`);
+}
+
+async function fetchAcs(zips, vintage) {
+  const rows = new Map([...estimates(vintage, 'zip', 'geo_id', zips)].map(([zip, v]) => [zip, inputsOf(v)]));
+  warnIfEmpty(rows, 'ZCTA', vintage);
+  return { vintage: `acs5-${vintage}`, rows };
+}
+
+async function fetchAcsAreas(level, counties, vintage) {
+  const rows = new Map([...estimates(vintage, 'tract', 'substr(geo_id, 1, 5)', counties)].map(([id, v]) => [id, inputsOf(v)]));
+  if (level === 'block_group') {
+    for (const [id, v] of estimates(vintage, 'block_group', 'substr(geo_id, 1, 5)', counties)) {
+      rows.set(id, inputsOf(v, rows.get(id.slice(0, 11)) || { poverty_rate: null }));
+    }
+  }
+  warnIfEmpty(rows, level, vintage);
+  return { vintage: `acs5-${vintage}`, rows };
+}
+
+const hasVintage = (vintage) => !!db.prepare('SELECT 1 FROM census_estimates WHERE vintage = ? LIMIT 1').get(vintage);
+const newestVintage = () => db.prepare('SELECT MAX(vintage) as v FROM census_estimates').get().v;
+
+function listVintages() {
+  return db.prepare(`
+    SELECT vintage, geo_type, COUNT(DISTINCT geo_id) as areas, MAX(imported_at) as imported_at
+    FROM census_estimates GROUP BY vintage, geo_type ORDER BY vintage DESC, geo_type
+  `).all();
+}
+
+module.exports = { name: 'local', fetchAcs, fetchAcsAreas, importCensus, vintageOf, hasVintage, newestVintage, listVintages };
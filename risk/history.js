@@ -0,0 +1,40 @@
+const db = require('../db');
+
+// ─── Score History ────────────────────────────────────────────────
+// risk_scores / risk_area_scores only hold the latest score; every scoring run
+// also appends a row per area here, so trends survive the weekly rescore.
+
+const BASELINE_DAYS = 365;
+
+const insertHistory = db.prepare(`
+  INSERT INTO risk_score_history (geo_type, geo_id, crime_score, fire_score, risk_level, model_version, vintage)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+// The score to compare against: the newest one from at least BASELINE_DAYS ago,
+// else the oldest on file. Only scores from the same model version count.
+const findBaseline = db.prepare(`
+  SELECT crime_score, fire_score, risk_level, scored_at FROM risk_score_history
+  WHERE geo_type = ? AND geo_id = ? AND model_version = ?
+  ORDER BY scored_at <= datetime('now', '-${BASELINE_DAYS} days') DESC,
+    CASE WHEN scored_at <= datetime('now', '-${BASELINE_DAYS} days') THEN scored_at END DESC, scored_at ASC
+  LIMIT 1
+`);
+
+function baseline(geoType, id, modelVersion) {
+  return findBaseline.get(geoType, id, modelVersion) || null;
+}
+
+function record(geoType, id, scored, modelVersion, vintage) {
+  insertHistory.run(geoType, id, scored.crime_score, scored.fire_score, scored.risk_level, modelVersion, vintage);
+}
+
+// Newest first
+function list(geoType, id, limit = 52) {
+  return db.prepare(`
+    SELECT scored_at, crime_score, fire_score, risk_level, model_version, vintage FROM risk_score_history
+    WHERE geo_type = ? AND geo_id = ? ORDER BY scored_at DESC, id DESC LIMIT ?
+  `).all(geoType, id, limit);
+}
+
+module.exports = { BASELINE_DAYS, baseline, record, list };
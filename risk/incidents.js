@@ -0,0 +1,93 @@
+const path = require('path');
+const db = require('../db');
+const { readCsv } = require('../csv');
+
+// ─── Local Incident Data ──────────────────────────────────────────
+// City police incident and fire call exports, imported from CSV and kept as
+// monthly counts per ZIP or census tract in risk_incidents. Each file is a
+// `source`; re-importing a source replaces its rows.
+
+const KINDS = ['crime', 'fire'];
+const WINDOW_MONTHS = 12;
+
+// Header names tried for each column, case-insensitively
+const COLUMNS = {
+  zip: ['zip', 'zip_code', 'zipcode', 'zip5', 'postal_code'],
+  tract: ['tract_geoid', 'geoid', 'census_tract', 'tract'],
+  date: ['date', 'incident_date', 'occurred_date', 'occ_date', 'reported_date', 'call_date', 'datetime', 'month'],
+  count: ['count', 'incidents', 'calls'],
+};
+
+function findColumn(header, names) {
+  const lower = header.map(h => h.toLowerCase());
+  for (const n of names) {
+    const i = lower.indexOf(n);
+    if (i >= 0) return header[i];
+  }
+  return null;
+}
+
+// "2024-03-15T10:00", "2024-03", "03/15/2024" → "2024-03"
+function monthOf(v) {
+  const s = String(v || '').trim();
+  if (/^\d{4}-\d{2}/.test(s)) return s.slice(0, 7);
+  const d = new Date(s);
+  return isNaN(d) ? null : d.toISOString().slice(0, 7);
+}
+
+// Imports one CSV as `kind` incidents. Rows need a date and either a 5-digit ZIP
+// or an 11-digit tract GEOID; an optional count column holds pre-aggregated rows.
+async function importIncidents(file, { kind, source }) {
+  if (!KINDS.includes(kind)) throw new Error(`kind must be one of: ${KINDS.join(', ')}`);
+  source = source || path.basename(file, path.extname(file));
+  const counts = new Map();
+  let cols, imported = 0, skipped = 0;
+  for await (const row of readCsv(file)) {
+    if (!cols) {
+      const header = Object.keys(row);
+      cols = Object.fromEntries(Object.entries(COLUMNS).map(([k, names]) => [k, findColumn(header, names)]));
+      if (!cols.date || (!cols.zip && !cols.tract)) throw new Error('CSV needs a date column and a zip or tract column');
+    }
+    const month = monthOf(row[cols.date]);
+    const zip = cols.zip && String(row[cols.zip]).trim().slice(0, 5);
+    const tract = cols.tract && String(row[cols.tract]).trim();
+    const geo = /^\d{5}$/.test(zip || '') ? ['zip', zip] : /^\d{11}$/.test(tract || '') ? ['tract', tract] : null;
+    const n = cols.count ? parseInt(row[cols.count]) : 1;
+    if (!month || !geo || !(n > 0)) { skipped++; continue; }
+    const key = `${geo[0]}|${geo[1]}|${month}`;
+    counts.set(key, (counts.get(key) || 0) + n);
+    imported += n;
+  }
+
+  const insert = db.prepare('INSERT INTO risk_incidents (kind, source, geo_type, geo_id, month, count) VALUES (?, ?, ?, ?, ?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM risk_incidents WHERE kind = ? AND source = ?').run(kind, source);
+    for (const [key, n] of counts) insert.run(kind, source, ...key.split('|'), n);
+  })();
+  return { source, imported, skipped };
+}
+
+// Incident counts per geography over the last WINDOW_MONTHS of each source's data
+// (so an export that stops in March still scores on its own last year). Every
+// geography a source mentions is covered; one with no incidents in the window counts 0.
+function incidentCounts(kind, geoType) {
+  const rows = db.prepare(`
+    SELECT i.geo_id,
+      SUM(CASE WHEN i.month > strftime('%Y-%m', date(s.last || '-01', '-${WINDOW_MONTHS} months')) THEN i.count ELSE 0 END) as n
+    FROM risk_incidents i
+    JOIN (SELECT source, MAX(month) as last FROM risk_incidents WHERE kind = ? GROUP BY source) s ON s.source = i.source
+    WHERE i.kind = ? AND i.geo_type = ?
+    GROUP BY i.geo_id
+  `).all(kind, kind, geoType);
+  return new Map(rows.map(r => [r.geo_id, r.n]));
+}
+
+function listSources() {
+  return db.prepare(`
+    SELECT kind, source, geo_type, MIN(month) as first_month, MAX(month) as last_month, SUM(count) as incidents,
+      MAX(imported_at) as imported_at
+    FROM risk_incidents GROUP BY kind, source, geo_type ORDER BY kind, source
+  `).all();
+}
+
+module.exports = { KINDS, WINDOW_MONTHS, importIncidents, incidentCounts, listSources };
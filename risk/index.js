@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const geo = require('../geo');
+const census = require('./census');
+const incidents = require('./incidents');
+const history = require('./history');
+
+// ─── Area Risk Model ──────────────────────────────────────────────
+// crime_score and fire_score (1-10) per ZIP are weighted means of pluggable
+// factors. Each factor turns one input into a 1-10 score:
+//   crime_incidents  local police incidents per 1,000 residents → percentile among scored ZIPs
+//   fire_incidents   local fire calls per 1,000 residents       → percentile among scored ZIPs
+//   poverty_rate     Census B17001 — the crime proxy when a city has no incident data
+//   building_age     Census B25037 — the fire proxy when a city has no fire data
+// A factor with no data for a ZIP drops out and the remaining weights rescale,
+// so Census factors are the fallback wherever local data is missing.
+// Weights, levels and the model version live in risk/model.json (or RISK_MODEL);
+// every score row records the version and the factors that produced it.
+//
+// ZIPs are always scored. With RISK_GEOGRAPHY=tract or block_group the same model
+// also scores the Census areas permits fall in (risk_area_scores); a permit takes
+// its area's score when it has one and its ZIP's otherwise.
+
+const GEOGRAPHIES = ['zip', 'tract', 'block_group'];
+const GEOGRAPHY = process.env.RISK_GEOGRAPHY || 'zip';
+if (!GEOGRAPHIES.includes(GEOGRAPHY)) throw new Error(`RISK_GEOGRAPHY must be one of: ${GEOGRAPHIES.join(', ')}`);
+
+const NEUTRAL_SCORE = 5;  // a kind with no factor data at all
+const clampScore = (n) => Math.min(10, Math.max(1, Math.round(n)));
+
+// Rank of value within the sorted values of every scored ZIP → 1-10
+function percentileScore(value, sorted) {
+  let below = 0;
+  while (below < sorted.length && sorted[below] <= value) below++;
+  return clampScore(Math.ceil((below / sorted.length) * 10));
+}
+
+// Incident rates need a population; an area without one drops the factor
+const perThousand = (count, population) => population > 0 ? count / population * 1000 : null;
+
+// value(id, ctx) → raw input or null for a ZIP or GEOID; score(value, ctx, key) → 1-10
+const FACTORS = {
+  crime_incidents: {
+    kind: 'crime', source: 'local', label: 'Crime incidents per 1,000 residents (last 12 months)',
+    value: (id, ctx) => ctx.rates.crime.get(id) ?? null,
+    score: (v, ctx, key) => percentileScore(v, ctx.distributions[key]),
+  },
+  fire_incidents: {
+    kind: 'fire', source: 'local', label: 'Fire calls per 1,000 residents (last 12 months)',
+    value: (id, ctx) => ctx.rates.fire.get(id) ?? null,
+    score: (v, ctx, key) => percentileScore(v, ctx.distributions[key]),
+  },
+  poverty_rate: {
+    kind: 'crime', source: 'census', label: 'Poverty rate, % (Census B17001)',
+    value: (id, ctx) => ctx.acs.get(id)?.poverty_rate ?? null,
+    score: (v) => clampScore((v / 25) * 9 + 1),
+  },
+  building_age: {
+    kind: 'fire', source: 'census', label: 'Median building age, years (Census B25037)',
+    value: (id, ctx) => {
+      const built = ctx.acs.get(id)?.median_build_year;
+      return built ? new Date().getFullYear() - built : null;
+    },
+    score: (v) => clampScore((v / 100) * 9 + 1),
+  },
+};
+
+function loadModel() {
+  const file = process.env.RISK_MODEL || path.join(__dirname, 'model.json');
+  const model = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const kind of ['crime', 'fire']) {
+    for (const key of Object.keys(model[kind] || {})) {
+      if (!FACTORS[key] || FACTORS[key].kind !== kind) throw new Error(`${file}: "${key}" is not a ${kind} factor`);
+    }
+  }
+  return model;
+}
+const MODEL = loadModel();
+
+function combinedScore(crime, fire) {
+  const w = MODEL.combined;
+  return (crime * w.crime + fire * w.fire) / (w.crime + w.fire);
+}
+
+function riskLevel(crime, fire) {
+  const combined = combinedScore(crime, fire);
+  return combined >= MODEL.levels.HIGH ? 'HIGH' : combined >= MODEL.levels.MEDIUM ? 'MEDIUM' : 'LOW';
+}
+
+// Inputs for scoring a set of areas. Incidents are counted at `incidentGeo` level;
+// incidentArea maps an area to the one its incidents are counted in (a block group
+// borrows its tract's rate, since incident exports stop at tracts).
+function scoringContext(ids, acs, incidentGeo, incidentArea = (id) => id) {
+  const ctx = { acs, rates: {}, distributions: {} };
+  for (const kind of incidents.KINDS) {
+    const counts = incidents.incidentCounts(kind, incidentGeo);
+    ctx.rates[kind] = new Map();
+    for (const id of ids) {
+      const area = incidentArea(id);
+      const rate = counts.has(area) ? perThousand(counts.get(area), acs.get(area)?.population) : null;
+      if (rate != null) ctx.rates[kind].set(id, rate);
+    }
+  }
+  for (const key of ['crime_incidents', 'fire_incidents']) {
+    ctx.distributions[key] = ids.map(id => FACTORS[key].value(id, ctx)).filter(v => v != null).sort((a, b) => a - b);
+  }
+  return ctx;
+}
+
+// Change since the baseline score (history.baseline). The combined-score change
+// decides the label: up TREND_THRESHOLD or more is rising, down as much is falling.
+const TREND_THRESHOLD = 1;
+
+function trendOf(geoType, id, scored) {
+  const base = history.baseline(geoType, id, MODEL.version);
+  if (!base) return { crime_trend: null, fire_trend: null, trend: null, trend_since: null };
+  const crime = scored.crime_score - base.crime_score, fire = scored.fire_score - base.fire_score;
+  const change = combinedScore(crime, fire);
+  return {
+    crime_trend: crime, fire_trend: fire, trend_since: base.scored_at,
+    trend: change >= TREND_THRESHOLD ? 'rising' : change <= -TREND_THRESHOLD ? 'falling' : 'steady',
+  };
+}
+
+// Scores one ZIP or Census area from the loaded inputs. Returns null when no factor has data.
+function scoreArea(id, ctx) {
+  const factors = [];
+  const scores = {};
+  for (const kind of ['crime', 'fire']) {
+    let sum = 0, total = 0;
+    for (const [key, weight] of Object.entries(MODEL[kind] || {})) {
+      const value = FACTORS[key].value(id, ctx);
+      if (value == null || !weight) continue;
+      const score = FACTORS[key].score(value, ctx, key);
+      factors.push({ factor: key, kind, label: FACTORS[key].label, source: FACTORS[key].source,
+        value: Math.round(value * 100) / 100, score, weight });
+      sum += score * weight;
+      total += weight;
+    }
+    scores[kind] = total ? clampScore(sum / total) : null;
+  }
+  if (scores.crime == null && scores.fire == null) return null;
+  for (const kind of ['crime', 'fire']) {
+    if (scores[kind] != null) continue;
+    scores[kind] = NEUTRAL_SCORE;
+    factors.push({ factor: null, kind, label: `No ${kind} data for this area — neutral score`, source: null, value: null, score: NEUTRAL_SCORE, weight: 0 });
+  }
+  return { crime_score: scores.crime, fire_score: scores.fire, risk_level: riskLevel(scores.crime, scores.fire), factors };
+}
+
+// Scores every ZIP that has permits
+async function scoreZips() {
+  console.log(`[risk] Scoring ZIPs with model v${MODEL.version}...`);
+  const zips = db.prepare(
+    `SELECT DISTINCT zip_code FROM permits WHERE zip_code != '' AND length(zip_code) = 5`
+  ).all().map(r => r.zip_code);
+  if (!zips.length) return;
+
+  const acs = await census.fetchAcs(zips);
+  const ctx = scoringContext(zips, acs.rows, 'zip');
+
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO risk_scores
+      (zip_code, poverty_rate, median_build_year, population, crime_score, fire_score, risk_level,
+       factors, model_version, vintage, crime_trend, fire_trend, trend, trend_since, updated_at)
+    VALUES (@zip_code, @poverty_rate, @median_build_year, @population, @crime_score, @fire_score, @risk_level,
+       @factors, @model_version, @vintage, @crime_trend, @fire_trend, @trend, @trend_since, datetime('now'))
+  `);
+  let n = 0;
+  db.transaction(() => {
+    for (const zip of zips) {
+      const scored = scoreArea(zip, ctx);
+      if (!scored) continue;
+      const inputs = ctx.acs.get(zip) || {};
+      insert.run({
+        zip_code: zip, poverty_rate: inputs.poverty_rate ?? null, median_build_year: inputs.median_build_year ?? null,
+        population: inputs.population ?? null, ...scored, factors: JSON.stringify(scored.factors),
+        model_version: MODEL.version, vintage: acs.vintage, ...trendOf('zip', zip, scored),
+      });
+      history.record('zip', zip, scored, MODEL.version, acs.vintage);
+      n++;
+    }
+  })();
+  console.log(`[risk] Done — ${n} ZIPs scored (${db.prepare('SELECT COUNT(*) as n FROM risk_scores').get().n} on file)`);
+}
+
+// Scores every tract or block group (level) that has a placed permit, replacing
+// any scores at the other level
+async function scoreAreas(level) {
+  const column = level === 'block_group' ? 'block_group_geoid' : 'tract_geoid';
+  const ids = db.prepare(`SELECT DISTINCT ${column} as id FROM permits WHERE ${column} IS NOT NULL`).all().map(r => r.id);
+  if (!ids.length) {
+    console.log(`[risk] No permits placed in a ${level} yet — set CENSUS_GEOJSON to a ${level} boundary file`);
+    return;
+  }
+  console.log(`[risk] Scoring ${ids.length} ${level}s with model v${MODEL.version}...`);
+  const counties = [...new Set(ids.map(id => id.slice(0, 5)))];
+  const acs = await census.fetchAcsAreas(level, counties);
+  const ctx = scoringContext(ids, acs.rows, 'tract', (id) => id.slice(0, 11));
+
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO risk_area_scores
+      (geo_id, geo_type, poverty_rate, median_build_year, population, crime_score, fire_score, risk_level,
+       factors, model_version, vintage, crime_trend, fire_trend, trend, trend_since, updated_at)
+    VALUES (@geo_id, @geo_type, @poverty_rate, @median_build_year, @population, @crime_score, @fire_score, @risk_level,
+       @factors, @model_version, @vintage, @crime_trend, @fire_trend, @trend, @trend_since, datetime('now'))
+  `);
+  let n = 0;
+  db.transaction(() => {
+    db.prepare('DELETE FROM risk_area_scores WHERE geo_type != ?').run(level);
+    for (const id of ids) {
+      const scored = scoreArea(id, ctx);
+      if (!scored) continue;
+      const inputs = ctx.acs.get(id) || {};
+      insert.run({
+        geo_id: id, geo_type: level, poverty_rate: inputs.poverty_rate ?? null, median_build_year: inputs.median_build_year ?? null,
+        population: inputs.population ?? null, ...scored, factors: JSON.stringify(scored.factors),
+        model_version: MODEL.version, vintage: acs.vintage, ...trendOf(level, id, scored),
+      });
+      history.record(level, id, scored, MODEL.version, acs.vintage);
+      n++;
+    }
+  })();
+  console.log(`[risk] Done — ${n} ${level}s scored`);
+}
+
+// ZIP scores, then area scores at RISK_GEOGRAPHY. Back at 'zip', area scores are dropped.
+async function scoreRisk() {
+  await scoreZips();
+  if (GEOGRAPHY === 'zip') { db.prepare('DELETE FROM risk_area_scores').run(); return; }
+  const placed = geo.placeStored();
+  if (placed) console.log(`[geo] ${placed} stored permits placed in Census areas`);
+  await scoreAreas(GEOGRAPHY);
+}
+
+// ─── Risk Breakdown ──────────────────────────────────────────────
+// Everything behind one ZIP's risk_level: the scores, the raw inputs and factor
+// scores, the thresholds applied, data vintage, score history and trend, and
+// recent permit activity there.
+const PERMIT_WINDOWS = [30, 90, 365];
+
+function explainZip(zip) {
+  const row = db.prepare('SELECT * FROM risk_scores WHERE zip_code = ?').get(zip);
+  if (!row) return null;
+  const activity = db.prepare(`
+    SELECT COUNT(*) as count, COALESCE(SUM(estimated_value), 0) as total_value
+    FROM permits WHERE zip_code = ? AND permit_date >= date('now', ?)
+  `);
+  return {
+    zip_code: zip,
+    crime_score: row.crime_score,
+    fire_score: row.fire_score,
+    combined_score: Math.round(combinedScore(row.crime_score, row.fire_score) * 100) / 100,
+    risk_level: row.risk_level,
+    thresholds: { HIGH: MODEL.levels.HIGH, MEDIUM: MODEL.levels.MEDIUM, combined_weights: MODEL.combined },
+    inputs: { poverty_rate: row.poverty_rate, median_build_year: row.median_build_year, population: row.population },
+    factors: row.factors ? JSON.parse(row.factors) : [],
+    model_version: row.model_version,
+    vintage: row.vintage,
+    scored_at: row.updated_at,
+    trend: { trend: row.trend, crime_change: row.crime_trend, fire_change: row.fire_trend, since: row.trend_since },
+    history: history.list('zip', zip),
+    permits: Object.fromEntries(PERMIT_WINDOWS.map(d => [`last_${d}_days`, activity.get(zip, `-${d} days`)])),
+  };
+}
+
+module.exports = {
+  GEOGRAPHY, FACTORS, MODEL, scoreArea, scoreZips, scoreAreas, scoreRisk, explainZip,
+  importIncidents: incidents.importIncidents, listIncidentSources: incidents.listSources,
+  importCensus: census.importCensus, censusVintageOf: census.vintageOf, describeCensus: census.describe,
+};
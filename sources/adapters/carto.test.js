@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PERMITS_DB = ':memory:';
+const db = require('../../db');
+const { loadSources } = require('..');
+const { fetchSource } = require('../sync');
+const carto = require('./carto');
+
+const day = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+
+// A CARTO SQL API stub: records each q and answers its LIMIT / OFFSET from `rows`
+let rows = [];
+const queries = [];
+const server = http.createServer((req, res) => {
+  const q = new URL(req.url, 'http://stub').searchParams.get('q');
+  queries.push(q);
+  res.setHeader('content-type', 'application/json');
+  if (q.includes('missing_table')) return res.end(JSON.stringify({ error: ['relation "missing_table" does not exist'] }));
+  const [, limit, offset] = q.match(/LIMIT (\d+) OFFSET (\d+)$/);
+  res.end(JSON.stringify({ rows: rows.slice(+offset, +offset + +limit) }));
+});
+
+let url, dir;
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/api/v2/sql`;
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permit-bot-cities-'));
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('fetchPage sends the date window, updated field and page as SQL', async () => {
+  rows = [{ cartodb_id: 1 }, { cartodb_id: 2 }];
+  const source = { url, table: 'permits', dateField: 'issued', updatedField: 'modified', where: "kind = 'BP'" };
+  const page = await carto.fetchPage(source, { since: '2024-01-01', updatedSince: '2024-03-01', offset: 0, limit: 2 });
+  assert.strictEqual(queries.pop(),
+    "SELECT *, ST_Y(the_geom) AS _lat, ST_X(the_geom) AS _lng FROM permits WHERE (kind = 'BP') AND (issued >= '2024-01-01' OR modified >= '2024-03-01') ORDER BY issued ASC, cartodb_id LIMIT 2 OFFSET 0");
+  assert.deepStrictEqual(page.records, rows);
+  assert.strictEqual(page.more, true);
+  await assert.rejects(carto.fetchPage(source, { since: "2024-01-01' OR 1=1 --", offset: 0, limit: 2 }), /bad since date/);
+});
+
+test('fetchPage surfaces a SQL API error', async () => {
+  await assert.rejects(carto.fetchPage({ url, table: 'missing_table' }, { offset: 0, limit: 10 }), /missing_table/);
+});
+
+test('a sync pages through every row with LIMIT / OFFSET', async () => {
+  fs.writeFileSync(path.join(dir, 'carto_city.json'), JSON.stringify({
+    platform: 'carto', url, table: 'permits', pageSize: 2,
+    fields: { id: 'permitnumber', address: 'address', permit_type: 'typeofwork', permit_date: 'permitissuedate', status: 'status', zip_code: 'zip' },
+  }));
+  const source = loadSources(dir).carto_city;
+  rows = [1, 2, 3, 4, 5].map(n => ({
+    cartodb_id: n, permitnumber: `BP-${n}`, address: `${n} Market St`, typeofwork: 'Building', permitissuedate: day(5 - n),
+    status: 'Issued', zip: '19107', _lat: 39.95, _lng: -75.16,
+  }));
+  queries.length = 0;
+  const { inserted } = await fetchSource(source);
+  assert.strictEqual(inserted, 5);
+  assert.deepStrictEqual(queries.map(q => q.match(/LIMIT \d+ OFFSET \d+$/)[0]), ['LIMIT 2 OFFSET 0', 'LIMIT 2 OFFSET 2', 'LIMIT 2 OFFSET 4']);
+  assert.ok(queries.every(q => q.includes(`WHERE (permitissuedate >= '${day(30)}')`)), queries[0]);
+  const run = db.prepare('SELECT pages, rows_received, error FROM fetch_runs WHERE city = ? ORDER BY id DESC').get('carto_city');
+  assert.deepStrictEqual({ ...run }, { pages: 3, rows_received: 5, error: null });
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM permits WHERE city = ? AND latitude IS NOT NULL').get('carto_city').n, 5);
+});
@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+// CKAN DataStore API
+// url: https://[portal]/api/3/action/datastore_search   (+ resourceId in the city config)
+// datastore_search only filters on equality, so incremental sync walks the
+// resource newest-first and stops once a page reaches dates before `since`.
+async function fetchPage(source, { since, offset, limit }) {
+  const res = await axios.get(source.url, {
+    params: {
+      resource_id: source.resourceId,
+      limit,
+      offset,
+      sort: source.dateField ? `${source.dateField} desc` : '_id',
+    },
+    timeout: 20000,
+  });
+  if (!res.data.success) throw new Error(JSON.stringify(res.data.error || 'CKAN request failed'));
+  const records = res.data.result.records || [];
+  const last = records.length ? records[records.length - 1][source.dateField] : null;
+  const caughtUp = since && source.dateField && last && String(last) < since;
+  return {
+    records: caughtUp ? records.filter(r => String(r[source.dateField]) >= since) : records,
+    more: !caughtUp && records.length === limit,
+    status: res.status,
+  };
+}
+
+module.exports = { dateFormat: 'iso', fetchPage };
@@ -0,0 +1,33 @@
+const axios = require('axios');
+
+// OpenDataSoft Explore API v2.1
+// url: https://[portal]/api/explore/v2.1/catalog/datasets/[dataset-id]/records
+// The records endpoint caps `limit` at 100 and offset + limit at 10,000.
+const MAX_LIMIT = 100;
+const MAX_WINDOW = 10000;
+
+async function fetchPage(source, { since, updatedSince, offset, limit }) {
+  limit = Math.min(limit, MAX_LIMIT);
+  if (offset + limit > MAX_WINDOW) {
+    throw new Error(`OpenDataSoft records API stops at ${MAX_WINDOW} rows — use a later start date`);
+  }
+  const where = [source.where];
+  if (since && source.dateField) {
+    const updated = updatedSince && source.updatedField ? ` OR ${source.updatedField} >= date'${updatedSince}'` : '';
+    where.push(`${source.dateField} >= date'${since}'${updated}`);
+  }
+  const clauses = where.filter(Boolean);
+  const res = await axios.get(source.url, {
+    params: {
+      limit,
+      offset,
+      order_by: source.dateField ? `${source.dateField} ASC` : undefined,
+      where: clauses.length ? clauses.map(c => `(${c})`).join(' AND ') : undefined,
+    },
+    timeout: 20000,
+  });
+  const records = res.data.results || [];
+  return { records, more: records.length === limit, status: res.status };
+}
+
+module.exports = { dateFormat: 'iso', pageSize: MAX_LIMIT, fetchPage };
@@ -0,0 +1,21 @@
+const axios = require('axios');
+
+// Socrata SODA API — https://dev.socrata.com/docs/queries/
+// url: https://data.[city].gov/resource/XXXX-XXXX.json
+// Pages oldest-first by date with :id as tie-break so $offset stays stable
+// while new rows are published mid-sync. With an updatedField, rows modified
+// since `updatedSince` come along whatever their date.
+async function fetchPage(source, { since, updatedSince, offset, limit }) {
+  const params = { $limit: limit, $offset: offset, $order: ':id' };
+  if (source.dateField) {
+    params.$order = `${source.dateField} ASC, :id`;
+    if (since) {
+      params.$where = `${source.dateField} >= '${since}'`;
+      if (updatedSince && source.updatedField) params.$where += ` OR ${source.updatedField} >= '${updatedSince}'`;
+    }
+  }
+  const res = await axios.get(source.url, { params, timeout: 20000 });
+  return { records: res.data, more: res.data.length === limit, status: res.status };
+}
+
+module.exports = { dateFormat: 'iso', fetchPage };
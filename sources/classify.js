@@ -0,0 +1,68 @@
+// ─── Permit Type Taxonomy ─────────────────────────────────────────
+// Every city spells permit types its own way, so each normalized record gets a
+// canonical `category` as well as the raw `permit_type`:
+//   1. the city's override table ("categories" in its config), raw permit_type → category
+//   2. the rules below against permit_type
+//   3. the same rules against description (trade permits often say little in the type)
+// Falls back to 'other'.
+
+const CATEGORIES = {
+  new_commercial: 'New commercial',
+  new_residential: 'New residential',
+  demolition: 'Demolition',
+  addition: 'Addition',
+  remodel: 'Remodel / alteration',
+  roofing: 'Roofing',
+  mep: 'Electrical / MEP',
+  solar: 'Solar',
+  pool: 'Pool / spa',
+  sign: 'Sign',
+  fence: 'Fence / wall',
+  site_work: 'Grading / site work',
+  other: 'Other',
+};
+
+const RESIDENTIAL = /resid|dwelling|single[- ]family|\bsf[rd]\b|duplex|townho|\bhouse\b|\bhome\b|\badu\b|multi[- ]?family|apartment|condo|\br-?3\b/i;
+
+// First match wins, so narrower categories come before the broad ones they overlap
+const RULES = [
+  ['demolition', /\bdemo(litions?|lish\w*)?\b|\bwreck/i],
+  ['solar', /\bsolar|photovoltaic|\bpv\b/i],
+  ['pool', /\bpools?\b|\bspa\b|hot tub/i],
+  ['sign', /\bsigns?\b|billboard/i],
+  ['new', /\bnew (construction|building|bldg|structure|commercial|residential|dwelling|single|multi|duplex|house|home|sf[rd])|\berect|ground[- ]up|\bnew\b.*\b(dwelling|sf[rd]|house|home)\b/i],
+  ['addition', /\badditions?\b/i],
+  ['remodel', /remodel|renovat|alteration|tenant (improvement|finish)|\bti\b|build[- ]?out|interior finish|conversion|repairs?\b/i],
+  ['roofing', /re-?roof|roofing|\broof\b/i],
+  ['mep', /electric|mechanical|plumb|hvac|\bgas\b|water heater|boiler|furnace|generator|\bmep\b/i],
+  ['fence', /\bfenc(e|ing)\b/i],
+  ['site_work', /grading|\bgrade\b|excavat|site ?work|paving|driveway|sidewalk|retaining wall|\bfill\b/i],
+];
+
+function matchRules(text) {
+  if (!text) return null;
+  const hit = RULES.find(([, re]) => re.test(text));
+  if (!hit) return null;
+  if (hit[0] !== 'new') return hit[0];
+  return RESIDENTIAL.test(text) ? 'new_residential' : 'new_commercial';
+}
+
+// overrides: { "<raw permit_type>": "<category>" }, matched case-insensitively
+function buildClassifier(overrides = {}) {
+  const table = {};
+  for (const [raw, category] of Object.entries(overrides)) {
+    if (!CATEGORIES[category]) throw new Error(`unknown category "${category}" for "${raw}"`);
+    table[raw.trim().toLowerCase()] = category;
+  }
+  return (rec) => {
+    const raw = String(rec.permit_type || '').trim();
+    const override = table[raw.toLowerCase()];
+    if (override) return override;
+    const category = matchRules(raw) || matchRules(rec.description) || 'other';
+    // A bare "New Construction" type doesn't say what kind — the description may know it's a house
+    if (category === 'new_commercial' && RESIDENTIAL.test(rec.description || '')) return 'new_residential';
+    return category;
+  };
+}
+
+module.exports = { CATEGORIES, buildClassifier };
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { stableId } = require('./validate');
+const { buildClassifier } = require('./classify');
+const { buildStager, expectedCompletion, lapsed } = require('./lifecycle');
+
+// ─── Source Adapter Registry ──────────────────────────────────────
+// One adapter per open data platform. Each exports:
+//   dateFormat          default date encoding for the platform's feeds
+//   pageSize            optional cap on records per request
+//   fetchPage(src, { since, updatedSince, afterId, offset, limit })
+//                       resolves to { records, more, status, lastId? } — one page
+//                       of flat raw records dated on/after `since` (or, when the
+//                       city has an updatedField and the platform can filter on
+//                       it, modified on/after `updatedSince`), whether another
+//                       page follows, the HTTP status, and the highest object ID
+//                       seen (ArcGIS)
+const ADAPTERS = {
+  socrata: require('./adapters/socrata'),
+  arcgis: require('./adapters/arcgis'),
+  carto: require('./adapters/carto'),
+  opendatasoft: require('./adapters/opendatasoft'),
+  ckan: require('./adapters/ckan'),
+};
+
+const PERMIT_FIELDS = [
+  'address', 'permit_type', 'estimated_value', 'contractor_name',
+  'permit_date', 'status', 'zip_code', 'description', 'parcel',
+];
+
+// Unparseable timestamps pass through raw so validation can reject them with the value
+const epoch = (ms, v) => { const d = new Date(ms); return isNaN(d) ? String(v) : d.toISOString().split('T')[0]; };
+const DATE_PARSERS = {
+  iso: (v) => String(v).split('T')[0],
+  epoch_ms: (v) => epoch(Number(v), v),
+  epoch_s: (v) => epoch(Number(v) * 1000, v),
+};
+
+// A field mapping is a source field name, or a list of fallbacks tried in order.
+// A nested list joins several source fields with spaces (house number + street).
+function pick(r, spec) {
+  if (!spec) return undefined;
+  for (const alt of Array.isArray(spec) ? spec : [spec]) {
+    const v = Array.isArray(alt)
+      ? alt.map(f => r[f] || '').join(' ').trim()
+      : r[alt];
+    if (v !== undefined && v !== null && v !== '') return v;
+  }
+  return undefined;
+}
+
+function pickNumber(r, spec) {
+  for (const alt of Array.isArray(spec) ? spec : [spec]) {
+    const n = parseFloat(pick(r, alt));
+    if (n) return n;
+  }
+  return 0;
+}
+
+// Point columns: Socrata location/point ({ latitude, longitude } or GeoJSON),
+// OpenDataSoft geo_point_2d ({ lat, lon }).
+function parsePoint(v) {
+  if (!v) return null;
+  if (typeof v === 'string') { try { v = JSON.parse(v); } catch(_) { return null; } }
+  if (Array.isArray(v.coordinates)) return { lat: v.coordinates[1], lng: v.coordinates[0] };
+  return { lat: v.latitude ?? v.lat, lng: v.longitude ?? v.lon ?? v.lng };
+}
+
+// Coordinates from mapped latitude/longitude fields, a mapped point column,
+// or the _lat/_lng an adapter lifted out of the feed's geometry.
+function pickCoords(r, fields) {
+  let lat = pick(r, fields.latitude), lng = pick(r, fields.longitude);
+  if (lat === undefined && fields.location) ({ lat, lng } = parsePoint(pick(r, fields.location)) || {});
+  if (lat === undefined) { lat = r._lat; lng = r._lng; }
+  return { latitude: parseFloat(lat), longitude: parseFloat(lng) };
+}
+
+function buildNormalizer(key, config, adapter, classify, stage) {
+  const fields = config.fields || {};
+  const defaults = { status: 'issued', ...config.defaults };
+  const truncate = config.truncate || {};
+  const parseDate = DATE_PARSERS[config.dateFormat || adapter.dateFormat];
+  if (!parseDate) throw new Error(`unknown dateFormat "${config.dateFormat}"`);
+
+  const prefix = config.idPrefix || key;
+  return (r) => {
+    const rec = { id: null, city: key };
+    for (const f of PERMIT_FIELDS) {
+      if (f === 'estimated_value') { rec[f] = fields[f] ? pickNumber(r, fields[f]) : (defaults[f] || 0); continue; }
+      const v = pick(r, fields[f]);
+      if (v === undefined) { rec[f] = defaults[f] || ''; continue; }
+      rec[f] = f === 'permit_date' ? parseDate(v) : String(v);
+      if (truncate[f]) rec[f] = rec[f].substring(0, truncate[f]);
+    }
+    rec.category = classify(rec);
+    rec.stage = stage(rec);
+    rec.expected_completion = expectedCompletion(rec);
+    if (lapsed(rec)) rec.stage = 'expired';
+    Object.assign(rec, pickCoords(r, fields));
+    const num = pick(r, fields.id);
+    rec.id = num ? `${prefix}-${num}` : stableId(prefix, rec);
+    return rec;
+  };
+}
+
+// Loads every cities/*.json file. The file name (minus .json) is the city key.
+// Files with "enabled": false are placeholders awaiting a verified URL.
+function loadSources(dir) {
+  const sources = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const key = path.basename(file, '.json');
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (config.enabled === false) continue;
+      const adapter = ADAPTERS[config.platform];
+      if (!adapter) throw new Error(`unknown platform "${config.platform}"`);
+      if (!config.url) throw new Error('missing url');
+      const dateField = config.dateField || [].concat((config.fields || {}).permit_date || [])[0];
+      const classify = buildClassifier(config.categories);
+      const stage = buildStager(config.stages);
+      sources[key] = {
+        ...config, key, adapter,
+        dateField: typeof dateField === 'string' ? dateField : undefined,
+        pageSize: Math.min(config.pageSize || 1000, adapter.pageSize || Infinity),
+        classify, stage,
+        normalize: buildNormalizer(key, config, adapter, classify, stage),
+      };
+    } catch (err) {
+      console.error(`[sources] Skipping ${file}:`, err.message);
+    }
+  }
+  return sources;
+}
+
+module.exports = { ADAPTERS, loadSources };
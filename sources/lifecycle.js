@@ -0,0 +1,96 @@
+// ─── Permit Lifecycle ─────────────────────────────────────────────
+// Raw statuses ("Active", "Pending Permit", "C of O Issued", "VOID") map to a
+// canonical `stage`:
+//   1. the city's override table ("stages" in its config), raw status → stage
+//   2. the rules below
+// Falls back to 'issued' (feeds without a status list issued permits).
+// Each permit also gets an `expected_completion` from its category and value, and
+// `active_until`, the last day the job is likely on site — what /permits?active_on= checks.
+
+const STAGES = {
+  applied: 'Applied / in review',
+  issued: 'Issued',
+  inspections: 'Under construction / inspections',
+  finaled: 'Finaled',
+  expired: 'Expired / cancelled',
+};
+const ENDED = new Set(['finaled', 'expired']);
+
+// First match wins: "Inactive" is expired before "active" reads as under construction
+const STAGE_RULES = [
+  ['expired', /expir|\bvoid|cancel|withdr[ae]wn|revoked|denied|disapproved|abandon|lapsed|inactive/i],
+  ['finaled', /final(ed|ized)?\b(?!\s*insp)|\bcomplete|\bclosed?\b|certificate of occupancy|\bc\.? ?of\.? ?o\b|\bc\.?o\.? issued/i],
+  ['inspections', /inspect|under construction|in progress|\bactive\b|work started|construction/i],
+  ['issued', /issued|approved|reinstated|ready|permitted|\bopen\b/i],
+  ['applied', /appl|submit|review|pending|intake|plan ?check|received|on hold|filed|in process|incomplete|accepted/i],
+];
+
+// overrides: { "<raw status>": "<stage>" }, matched case-insensitively
+function buildStager(overrides = {}) {
+  const table = {};
+  for (const [raw, stage] of Object.entries(overrides)) {
+    if (!STAGES[stage]) throw new Error(`unknown stage "${stage}" for "${raw}"`);
+    table[raw.trim().toLowerCase()] = stage;
+  }
+  return (rec) => {
+    const raw = String(rec.status || '').trim();
+    const hit = table[raw.toLowerCase()] || (STAGE_RULES.find(([, re]) => re.test(raw)) || [])[0];
+    return hit || 'issued';
+  };
+}
+
+// Typical time on site for a typical job of each category. Bigger jobs run longer:
+// days × (value / typical value)^0.3, kept between ½× and 3×.
+const DURATIONS = {
+  new_commercial: { days: 365, value: 2000000 },
+  new_residential: { days: 210, value: 300000 },
+  demolition: { days: 30, value: 50000 },
+  addition: { days: 120, value: 100000 },
+  remodel: { days: 60, value: 50000 },
+  roofing: { days: 14, value: 15000 },
+  mep: { days: 30, value: 20000 },
+  solar: { days: 21, value: 25000 },
+  pool: { days: 60, value: 60000 },
+  sign: { days: 7, value: 10000 },
+  fence: { days: 7, value: 8000 },
+  site_work: { days: 60, value: 100000 },
+  other: { days: 45, value: 30000 },
+};
+
+function expectedDays(category, value) {
+  const typical = DURATIONS[category] || DURATIONS.other;
+  const scale = value > 0 ? Math.min(3, Math.max(0.5, (value / typical.value) ** 0.3)) : 1;
+  return Math.round(typical.days * scale);
+}
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * 86400000).toISOString().slice(0, 10);
+
+function expectedCompletion(rec) {
+  if (!rec.permit_date) return null;
+  return addDays(rec.permit_date, expectedDays(rec.category, rec.estimated_value));
+}
+
+// An open permit still issued / under inspection LAPSE_AFTER_DAYS past its expected
+// completion is taken as expired. Cities lapse inactive permits, and a feed can go
+// quiet on an old permit without ever reporting its final status.
+const LAPSE_AFTER_DAYS = parseInt(process.env.LAPSE_AFTER_DAYS) || 365;
+
+function lapsed(rec) {
+  if (ENDED.has(rec.stage) || rec.stage === 'applied' || !rec.expected_completion) return false;
+  return addDays(rec.expected_completion, LAPSE_AFTER_DAYS) < new Date().toISOString().slice(0, 10);
+}
+
+// Open permits run to expected completion; applied ones aren't on site yet, nor are
+// ones that ended straight from applied. Any other finaled or expired permit stops on
+// the day it was first seen ended (kept from `prev`, the stored row), or at expected
+// completion if that came first.
+function activeUntil(rec, prev) {
+  if (rec.stage === 'applied' || !rec.expected_completion) return null;
+  if (!ENDED.has(rec.stage)) return rec.expected_completion;
+  if (prev && prev.stage === 'applied') return null;
+  if (prev && ENDED.has(prev.stage)) return prev.active_until;
+  const today = new Date().toISOString().slice(0, 10);
+  return rec.expected_completion < today ? rec.expected_completion : today;
+}
+
+module.exports = { STAGES, LAPSE_AFTER_DAYS, buildStager, expectedDays, expectedCompletion, lapsed, activeUntil };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const db = require('../db');
+const geo = require('../geo');
+const contractors = require('../contractors');
+const { validatePermit } = require('./validate');
+const { LAPSE_AFTER_DAYS, activeUntil } = require('./lifecycle');
+
+// ─── Incremental Sync ─────────────────────────────────────────────
+// Each city keeps a sync cursor (newest permit_date seen, plus highest OBJECTID
+// for ArcGIS). A sync pages from the cursor until the source runs dry, so a
+// missed night is caught up on the next run instead of leaving a gap.
+// A city with no cursor starts from its newest stored permit, or
+// INITIAL_SYNC_DAYS back for a brand new source.
+//
+// Permits change after they're first seen (applied → issued → finaled, revised
+// values), so every sync also re-reads:
+//   - the last RESYNC_DAYS (or the city's resyncDays) of permits, by date
+//   - with an `updatedField` in the city config, every row the source modified
+//     since the day before the last successful sync, however old or undated
+const INITIAL_SYNC_DAYS = parseInt(process.env.INITIAL_SYNC_DAYS) || 30;
+const RESYNC_DAYS = parseInt(process.env.RESYNC_DAYS) || 30;
+const MAX_PAGES = 1000;
+
+// Changes to these fields on an already-stored permit are logged to permit_events
+// ("applied" → "issued", a revised value, a new contractor).
+const TRACKED_FIELDS = ['status', 'estimated_value', 'contractor_name'];
+
+// Every sync attempt is logged to fetch_runs; /sources reads its health from there.
+function startRun(city) {
+  return db.prepare('INSERT INTO fetch_runs (city) VALUES (?)').run(city).lastInsertRowid;
+}
+
+function finishRun(run) {
+  db.prepare(`
+    UPDATE fetch_runs SET finished_at = datetime('now'), http_status = @http_status, pages = @pages,
+      rows_received = @rows_received, rows_inserted = @rows_inserted, rows_rejected = @rows_rejected, error = @error
+    WHERE id = @id
+  `).run(run);
+}
+
+function daysAgo(n) {
+  return new Date(Date.now() - n * 86400000).toISOString().split('T')[0];
+}
+
+// Syncs one source (from loadSources); `from` backfills from that date instead
+async function fetchSource(source, { from } = {}) {
+  const key = source.key;
+  const cursor = db.prepare('SELECT * FROM sync_cursors WHERE city = ?').get(key) || {};
+  const stored = db.prepare(`SELECT MAX(permit_date) as d FROM permits WHERE city = ? AND permit_date != ''`).get(key).d;
+  const resume = cursor.last_date || stored;
+  const resyncFrom = daysAgo(source.resyncDays || RESYNC_DAYS);
+  const since = from || (resume ? (resume < resyncFrom ? resume : resyncFrom) : daysAgo(INITIAL_SYNC_DAYS));
+  const afterId = from ? undefined : cursor.last_object_id;
+  const updatedSince = !from && source.updatedField && cursor.updated_at
+    ? new Date(Date.parse(`${cursor.updated_at.replace(' ', 'T')}Z`) - 86400000).toISOString().slice(0, 10)
+    : undefined;
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO permits
+      (id, city, address, permit_type, category, estimated_value, contractor_name, permit_date, status, zip_code, description,
+       parcel, stage, expected_completion, active_until, latitude, longitude, geo_source, tract_geoid, block_group_geoid,
+       project_id, fetched_at)
+    VALUES (@id, @city, @address, @permit_type, @category, @estimated_value, @contractor_name, @permit_date, @status, @zip_code, @description,
+       @parcel, @stage, @expected_completion, @active_until, @latitude, @longitude, @geo_source, @tract_geoid, @block_group_geoid,
+       (SELECT project_id FROM permits WHERE id = @id), datetime('now'))
+  `);
+  const existing = db.prepare('SELECT status, estimated_value, contractor_name, stage, active_until FROM permits WHERE id = ?');
+  const logEvent = db.prepare('INSERT INTO permit_events (permit_id, field, old_value, new_value) VALUES (?, ?, ?, ?)');
+  const quarantine = db.prepare(`
+    INSERT INTO quarantine (city, record_hash, reason, raw) VALUES (?, ?, ?, ?)
+    ON CONFLICT(city, record_hash) DO UPDATE SET
+      reason = excluded.reason, last_seen_at = datetime('now'), seen_count = seen_count + 1
+  `);
+  const storePage = db.transaction((rows) => {
+    let n = 0, rejected = 0, newest = '';
+    for (const r of rows) {
+      let rec, reason;
+      try {
+        rec = source.normalize(r);
+        reason = validatePermit(rec);
+      } catch (err) {
+        reason = `normalize failed: ${err.message}`;
+      }
+      if (reason) {
+        const raw = JSON.stringify(r);
+        quarantine.run(key, crypto.createHash('sha1').update(raw).digest('hex'), reason, raw);
+        rejected++;
+        continue;
+      }
+      geo.locate(rec);
+      const prev = existing.get(rec.id);
+      rec.active_until = activeUntil(rec, prev);
+      if (prev) {
+        for (const f of TRACKED_FIELDS) {
+          if (String(prev[f] ?? '') !== String(rec[f] ?? '')) logEvent.run(rec.id, f, prev[f], rec[f]);
+        }
+      }
+      insert.run(rec);
+      if (!prev || prev.contractor_name !== rec.contractor_name) contractors.linkContractors(rec);
+      n++;
+      if (rec.permit_date > newest) newest = rec.permit_date;
+    }
+    return { n, rejected, newest };
+  });
+
+  const run = { id: startRun(key), http_status: null, pages: 0, rows_received: 0, rows_inserted: 0, rows_rejected: 0, error: null };
+  let lastDate = cursor.last_date || '', lastId = cursor.last_object_id;
+  try {
+    for (let offset = 0, more = true; more; ) {
+      if (run.pages === MAX_PAGES) throw new Error(`gave up after ${MAX_PAGES} pages`);
+      const page = await source.adapter.fetchPage(source, { since, updatedSince, afterId, offset, limit: source.pageSize });
+      run.pages++;
+      run.http_status = page.status || null;
+      const { n, rejected, newest } = storePage(page.records);
+      run.rows_received += page.records.length;
+      run.rows_inserted += n;
+      run.rows_rejected += rejected;
+      if (newest > lastDate) lastDate = newest;
+      if (page.lastId != null && !(page.lastId <= lastId)) lastId = page.lastId;
+      offset += page.records.length;
+      more = page.more && page.records.length > 0;
+    }
+  } catch (err) {
+    // Leave the cursor alone so the next run retries the whole window
+    console.error(`[${key}] ${source.platform} error:`, err.message);
+    run.http_status = (err.response && err.response.status) || run.http_status;
+    run.error = err.message;
+    finishRun(run);
+    return { city: key, inserted: run.rows_inserted };
+  }
+
+  // Cursor never moves past today: one bad future-dated row would skip real permits
+  const today = daysAgo(0);
+  db.prepare(`
+    INSERT INTO sync_cursors (city, last_date, last_object_id, updated_at) VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(city) DO UPDATE SET last_date = excluded.last_date, last_object_id = excluded.last_object_id, updated_at = excluded.updated_at
+  `).run(key, (lastDate > today ? today : lastDate) || null, lastId ?? null);
+  finishRun(run);
+  console.log(`[${key}] ${run.rows_inserted} ${source.platform} permits stored (since ${since}${updatedSince ? `, or updated since ${updatedSince}` : ''}, ${run.pages} page${run.pages === 1 ? '' : 's'})`);
+  return { city: key, inserted: run.rows_inserted };
+}
+
+// Expires stored open permits that have lapsed (see lifecycle.js) since they were
+// last fetched. Their active_until is already their expected completion.
+function lapseStored() {
+  return db.prepare(`
+    UPDATE permits SET stage = 'expired', active_until = expected_completion
+    WHERE stage IN ('issued', 'inspections') AND expected_completion IS NOT NULL
+      AND date(expected_completion, ?) < date('now')
+  `).run(`+${LAPSE_AFTER_DAYS} days`).changes;
+}
+
+module.exports = { fetchSource, lapseStored };
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PERMITS_DB = ':memory:';
+const db = require('../db');
+const { loadSources } = require('.');
+const { fetchSource, lapseStored } = require('./sync');
+
+const day = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+
+// A Socrata stub that honours the `field >= 'value' [OR field >= 'value']` $where the adapter sends
+const datasets = {};
+const wheres = [];
+const matches = (row, where) => !where || where.split(' OR ').some((clause) => {
+  const [, field, value] = clause.match(/^(\w+) >= '([^']+)'$/);
+  return row[field] != null && row[field] >= value;
+});
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stub');
+  const where = url.searchParams.get('$where');
+  wheres.push(where);
+  const rows = (datasets[url.pathname] || []).filter(r => matches(r, where));
+  res.setHeader('content-type', 'application/json');
+  res.end(JSON.stringify(rows.slice(+url.searchParams.get('$offset'), +url.searchParams.get('$offset') + +url.searchParams.get('$limit'))));
+});
+
+let sources, dir;
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permit-bot-cities-'));
+  const city = (name, extra) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({
+    platform: 'socrata', url: `http://127.0.0.1:${server.address().port}/${name}.json`,
+    fields: { id: 'permit_num', address: 'address', permit_type: 'type', permit_date: 'issue_date', status: 'status', zip_code: 'zip' },
+    ...extra,
+  }));
+  city('lookback', {});
+  city('modified', { updatedField: 'modified_at' });
+  sources = loadSources(dir);
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true });
+});
+
+const events = (id) => db.prepare('SELECT field, old_value, new_value FROM permit_events WHERE permit_id = ?').all(id);
+const row = (fields) => ({ address: '100 Congress Ave', type: 'Building', zip: '78701', ...fields });
+
+test('a status change on a permit inside the re-sync window is logged', async () => {
+  datasets['/lookback.json'] = [
+    row({ permit_num: '1', issue_date: day(10), status: 'Issued' }),
+    row({ permit_num: '2', issue_date: day(0), status: 'Issued' }),
+  ];
+  await fetchSource(sources.lookback);
+  datasets['/lookback.json'][0].status = 'Final';
+  await fetchSource(sources.lookback);
+  assert.strictEqual(wheres[wheres.length - 1], `issue_date >= '${day(30)}'`);
+  assert.deepStrictEqual(events('lookback-1'), [{ field: 'status', old_value: 'Issued', new_value: 'Final' }]);
+  assert.strictEqual(db.prepare("SELECT stage FROM permits WHERE id = 'lookback-1'").get().stage, 'finaled');
+});
+
+test('an updatedField brings back old and undated permits the source modified', async () => {
+  datasets['/modified.json'] = [
+    row({ permit_num: '1', issue_date: day(400), status: 'Issued', modified_at: day(400) }),
+  ];
+  await fetchSource(sources.modified, { from: day(500) });
+  Object.assign(datasets['/modified.json'][0], { status: 'Expired', modified_at: day(0) });
+  datasets['/modified.json'].push(row({ permit_num: '2', status: 'Pending', modified_at: day(0) }));
+  await fetchSource(sources.modified);
+  assert.match(wheres[wheres.length - 1], new RegExp(`OR modified_at >= '${day(1)}'$`));
+  assert.deepStrictEqual(events('modified-1'), [{ field: 'status', old_value: 'Issued', new_value: 'Expired' }]);
+  assert.strictEqual(db.prepare("SELECT stage FROM permits WHERE id = 'modified-2'").get().stage, 'applied');
+});
+
+test('open permits long past their expected completion lapse to expired', async () => {
+  datasets['/lookback.json'] = [row({ permit_num: 'old', type: 'Fence', issue_date: day(20), status: 'Issued' })];
+  await fetchSource(sources.lookback);
+  assert.strictEqual(db.prepare("SELECT stage FROM permits WHERE id = 'lookback-old'").get().stage, 'issued');
+  db.prepare("UPDATE permits SET permit_date = ?, expected_completion = ? WHERE id = 'lookback-old'").run(day(800), day(790));
+  assert.strictEqual(lapseStored(), 1);
+  const permit = db.prepare("SELECT stage, active_until FROM permits WHERE id = 'lookback-old'").get();
+  assert.deepStrictEqual(permit, { stage: 'expired', active_until: day(790) });
+  const fetched = sources.lookback.normalize(row({ permit_num: 'old', type: 'Fence', issue_date: day(800), status: 'Issued' }));
+  assert.strictEqual(fetched.stage, 'expired');
+});
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// ─── Permit Validation ────────────────────────────────────────────
+// Runs on every normalized record before it is stored. A record that fails
+// is written to the quarantine table with the reason instead of the permits table.
+
+const MAX_VALUE = 10e9;  // $10B — anything above is a unit or parsing error
+const MIN_DATE = '1900-01-01';
+
+// Deterministic ID for records without a source permit number, so the same
+// record hashes to the same row on every refresh instead of duplicating.
+function stableId(prefix, rec) {
+  const key = [rec.city, rec.address, rec.permit_date, rec.permit_type]
+    .map(v => String(v || '').trim().toLowerCase().replace(/\s+/g, ' '))
+    .join('|');
+  return `${prefix}-h${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+}
+
+function isValidDate(d) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) return false;
+  const t = new Date(`${d}T00:00:00Z`);
+  return !isNaN(t) && t.toISOString().startsWith(d);
+}
+
+// Returns a rejection reason, or null when the record is fine.
+// Cleans in place: ZIP+4 is cut to the 5-digit ZIP.
+function validatePermit(rec) {
+  if (!rec.address || !rec.address.trim()) return 'missing address';
+
+  if (rec.permit_date) {
+    if (!isValidDate(rec.permit_date)) return `invalid permit_date "${rec.permit_date}"`;
+    const maxDate = new Date(Date.now() + 365 * 86400000).toISOString().split('T')[0];
+    if (rec.permit_date < MIN_DATE || rec.permit_date > maxDate) return `permit_date out of range "${rec.permit_date}"`;
+  }
+
+  if (rec.zip_code) {
+    const zip = rec.zip_code.trim().replace(/^(\d{5})-?\d{4}$/, '$1');
+    if (!/^\d{5}$/.test(zip)) return `invalid zip_code "${rec.zip_code}"`;
+    rec.zip_code = zip;
+  }
+
+  if (!Number.isFinite(rec.estimated_value) || rec.estimated_value < 0 || rec.estimated_value > MAX_VALUE) {
+    return `invalid estimated_value "${rec.estimated_value}"`;
+  }
+  return null;
+}
+
+module.exports = { stableId, validatePermit };